@@ -2,13 +2,21 @@
 
 import { useEffect, useState } from "react";
 import { cloneDeep } from "lodash";
-import { useParams } from "next/navigation";
+import { useParams, useRouter } from "next/navigation";
 
 import { useSocket } from "@/store/socket";
 import usePeer from "@/hooks/use-peer";
 import useMediaStream from "@/hooks/use-media-stream";
 import usePlayer from "@/hooks/use-player";
 import useChat from "@/hooks/use-chat";
+import useScreenShare from "@/hooks/use-screen-share";
+import { setRoomPassword } from "@/lib/room-access";
+import {
+  createLogger,
+  downloadLogs,
+  isLogBufferEnabled,
+} from "@/lib/logger";
+import { getProfile, saveProfile } from "@/lib/profile";
 
 import CopySection from "@/components/copy-section";
 
@@ -18,11 +26,42 @@ import FloatingControls from "@/components/ui/floating-controls";
 import SimpleVideoGrid from "@/components/ui/simple-video-grid";
 import SimpleChat from "@/components/ui/simple-chat";
 import PermissionRequest from "@/components/ui/permission-request";
+import LobbyPanel from "@/components/ui/lobby-panel";
+import ParticipantsPanel from "@/components/ui/participants-panel";
+import DeviceSettings from "@/components/ui/device-settings";
+import PreJoinScreen from "@/components/ui/pre-join-screen";
+import RoomFullScreen from "@/components/ui/room-full-screen";
+import RoomAccessPrompt, {
+  ROOM_ACCESS_ERRORS,
+} from "@/components/ui/room-access-prompt";
+
+const log = createLogger("peer");
+
+// Player fields derived from a participant's server-side state. Remote
+// players default to audible until the server says otherwise.
+const getParticipantPlayerState = (participant) => {
+  const audioEnabled = participant?.audioEnabled ?? true;
+  return {
+    muted: !audioEnabled,
+    audioEnabled,
+    videoEnabled: participant?.videoEnabled ?? false,
+    screenSharing: participant?.screenSharing ?? false,
+    role: participant?.role ?? "participant",
+    displayName: participant?.displayName ?? "",
+    avatarColor: participant?.avatarColor ?? "",
+    initials: participant?.initials ?? "",
+  };
+};
 
 const Room = () => {
   const socket = useSocket();
   const { roomId } = useParams();
-  const { peer, myId } = usePeer();
+  const router = useRouter();
+  // The room is joined once the pre-join screen is done
+  const [hasJoined, setHasJoined] = useState(false);
+  const { peer, myId } = usePeer(hasJoined);
+  // Open calls by user id
+  const [users, setUsers] = useState([]);
   const {
     stream,
     isAudioEnabled,
@@ -31,12 +70,16 @@ const Room = () => {
     toggleVideo: toggleStreamVideo,
     error: mediaError,
     permissions,
+    hasCamera,
     audioDevices,
     selectedAudioInput,
     selectedAudioOutput,
     switchAudioInput,
     switchAudioOutput,
-  } = useMediaStream();
+    videoDevices,
+    selectedVideoInput,
+    switchVideoInput,
+  } = useMediaStream(users);
   const {
     players,
     setPlayers,
@@ -45,17 +88,37 @@ const Room = () => {
     toggleAudio,
     toggleVideo,
     leaveRoom,
+    muteParticipant,
+    muteAll,
+    removeParticipant,
+    setParticipantRole,
+    endRoom,
+    admitParticipant,
+    denyParticipant,
   } = usePlayer(myId, roomId, peer, {
     toggleAudio: toggleStreamAudio,
-    toggleVideo: () => {}, //toggleStreamVideo,
+    toggleVideo: toggleStreamVideo,
     isAudioEnabled,
-    isVideoEnabled,
   });
 
-  const [users, setUsers] = useState([]);
-  const [callStartTime] = useState(Date.now());
+  // Set when we leave the pre-join screen
+  const [callStartTime, setCallStartTime] = useState(null);
   const [callDuration, setCallDuration] = useState(0);
   const [showTroubleshooter, setShowTroubleshooter] = useState(false);
+  const [accessReason, setAccessReason] = useState(null);
+  const [roomCapacity, setRoomCapacity] = useState(null);
+  const [isRoomLocked, setIsRoomLocked] = useState(false);
+  const [myRole, setMyRole] = useState("participant");
+  const [lobby, setLobby] = useState([]);
+  const [participants, setParticipants] = useState([]);
+  const [showParticipants, setShowParticipants] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const [profile, setProfile] = useState({
+    displayName: "",
+    avatarColor: "",
+    initials: "",
+  });
+  const canModerate = myRole === "host" || myRole === "co-host";
 
   // Initialize chat functionality
   const {
@@ -64,10 +127,43 @@ const Room = () => {
     isConnected: isChatConnected,
     sendMessage,
     cleanupPeerDataChannel,
-  } = useChat(peer, myId, users);
+    remapSender,
+  } = useChat(peer, myId, users, profile);
+
+  // Sharing swaps our outgoing video on every call for the screen
+  const { screenStream, isScreenSharing, canScreenShare, toggleScreenShare } =
+    useScreenShare(stream, users);
+
+  // Whoever is sharing their screen gets the stage, us first
+  const presenterId = isScreenSharing
+    ? myId
+    : Object.keys(players).find(
+        (id) => id !== myId && players[id].screenSharing
+      ) || null;
+
+  // Stored after render so the server and first client render agree
+  useEffect(() => {
+    setProfile(getProfile());
+  }, []);
+
+  // Changing our profile mid-call updates everyone's view of us
+  const updateProfile = (changes) => {
+    const saved = saveProfile(changes);
+    setProfile(saved);
+    socket?.setLocalState(saved);
+  };
+
+  // Leave the pre-join screen under the name given there
+  const joinRoom = (displayName) => {
+    updateProfile({ ...profile, displayName });
+    setHasJoined(true);
+    setCallStartTime(Date.now());
+  };
 
   // Call duration timer
   useEffect(() => {
+    if (!callStartTime) return;
+
     const timer = setInterval(() => {
       setCallDuration(Math.floor((Date.now() - callStartTime) / 1000));
     }, 1000);
@@ -84,17 +180,121 @@ const Room = () => {
           url: stream,
           muted: true, // Always mute own audio to prevent feedback
           playing: isVideoEnabled,
+          videoEnabled: isVideoEnabled,
           audioEnabled: isAudioEnabled, // Track actual audio state
+          ...profile,
         },
       }));
     }
-  }, [myId, stream, isAudioEnabled, isVideoEnabled, setPlayers]);
+  }, [myId, stream, isAudioEnabled, isVideoEnabled, profile, setPlayers]);
+
+  // Keep the server's record of our own mic/camera state current
+  useEffect(() => {
+    if (!socket || !stream) return;
+    socket.setLocalState({
+      audioEnabled: isAudioEnabled,
+      videoEnabled: isVideoEnabled,
+    });
+  }, [socket, stream, isAudioEnabled, isVideoEnabled]);
+
+  // Why we are not in the call yet (password, lock, lobby), plus the room's
+  // lock state and who is waiting in its lobby
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleConnectError = (error) => {
+      if (ROOM_ACCESS_ERRORS.includes(error?.code)) {
+        setAccessReason(error.code);
+      } else if (error?.code === "room-full") {
+        setRoomCapacity(error.maxParticipants);
+        setAccessReason("room-full");
+      }
+    };
+
+    const handleJoinedRoom = () => {
+      setAccessReason(null);
+      setIsRoomLocked(!!socket.roomInfo?.locked);
+      // Remember a password that worked so reloads rejoin without asking
+      if (socket.joinOptions?.password) {
+        setRoomPassword(roomId, socket.joinOptions.password);
+      }
+    };
+
+    const handleWaitingRoom = () => setAccessReason("waiting");
+    const handleLobbyDenied = () => setAccessReason("lobby-denied");
+
+    socket.on("connect_error", handleConnectError);
+    socket.on("joined-room", handleJoinedRoom);
+    socket.on("waiting-room", handleWaitingRoom);
+    socket.on("lobby-denied", handleLobbyDenied);
+    socket.on("room-locked", setIsRoomLocked);
+    socket.on("lobby-updated", setLobby);
+
+    return () => {
+      socket.off("connect_error", handleConnectError);
+      socket.off("joined-room", handleJoinedRoom);
+      socket.off("waiting-room", handleWaitingRoom);
+      socket.off("lobby-denied", handleLobbyDenied);
+      socket.off("room-locked", setIsRoomLocked);
+      socket.off("lobby-updated", setLobby);
+    };
+  }, [roomId, socket]);
+
+  // The participant list and our own role come from the server and can
+  // change during the call
+  useEffect(() => {
+    if (!socket || !myId) return;
+
+    const syncParticipants = () => {
+      setParticipants([...socket.participants.values()]);
+      setMyRole(socket.getParticipant(myId)?.role || "participant");
+    };
+
+    const handleModerationError = (action, error) => {
+      log.warn("Moderation action failed", { action, error });
+    };
+
+    const participantEvents = [
+      "room-participants",
+      "participant-updated",
+      "user-connected",
+      "user-leave",
+      "user-toggle-audio",
+      "user-toggle-video",
+    ];
+
+    syncParticipants();
+    participantEvents.forEach((event) => socket.on(event, syncParticipants));
+    socket.on("moderation-error", handleModerationError);
+
+    return () => {
+      participantEvents.forEach((event) => socket.off(event, syncParticipants));
+      socket.off("moderation-error", handleModerationError);
+    };
+  }, [myId, socket]);
+
+  // Someone reloaded: their old tile goes with user-leave and the new one
+  // arrives with their call, but chat keeps crediting them
+  useEffect(() => {
+    if (!socket) return;
+
+    socket.on("user-replaced", remapSender);
+    return () => socket.off("user-replaced", remapSender);
+  }, [socket, remapSender]);
+
+  const retryJoinRoom = (password) => {
+    if (!socket || !myId) return;
+    const options = password
+      ? { ...socket.joinOptions, password }
+      : socket.joinOptions;
+    socket.emit("join-room", roomId, myId, options);
+  };
 
   // Enhanced retry media stream with audio diagnostics
   const retryMediaStream = async () => {
     if (process.env.NODE_ENV === "development") {
       const { quickAudioCheck } = await import("@/utils/audio-diagnostics");
-      console.log("🔍 Running audio diagnostics before retry...");
+      log.info("Running audio diagnostics before retry");
       await quickAudioCheck();
     }
     window.location.reload();
@@ -104,18 +304,17 @@ const Room = () => {
     if (!socket || !peer || !stream) return;
 
     const handleUserConnected = (newUser) => {
-      console.log(`user connected in room with userId ${newUser}`);
+      log.debug("Calling new user", { userId: newUser });
       const call = peer.call(newUser, stream);
 
       call.on("stream", (incomingStream) => {
-        console.log(`incoming stream from ${newUser}`);
+        log.debug("Incoming stream", { userId: newUser });
         setPlayers((prev) => ({
           ...prev,
           [newUser]: {
             url: incomingStream,
-            muted: false, // Allow remote audio to be heard
             playing: true,
-            audioEnabled: true, // Track actual audio state
+            ...getParticipantPlayerState(socket.getParticipant(newUser)),
           },
         }));
 
@@ -127,7 +326,7 @@ const Room = () => {
 
       // Handle call close event for outgoing calls
       call.on("close", () => {
-        console.log(`Outgoing call closed with ${newUser}`);
+        log.debug("Outgoing call closed", { userId: newUser });
         setPlayers((prev) => {
           const copy = cloneDeep(prev);
           delete copy[newUser];
@@ -143,7 +342,7 @@ const Room = () => {
 
       // Handle call error event for outgoing calls
       call.on("error", (error) => {
-        console.error(`Outgoing call error with ${newUser}:`, error);
+        log.error("Outgoing call failed", { userId: newUser, error });
         setPlayers((prev) => {
           const copy = cloneDeep(prev);
           delete copy[newUser];
@@ -158,41 +357,61 @@ const Room = () => {
       });
     };
 
+    // After a reconnect, call again only the people whose call dropped
+    // while we were away; working calls are kept as they are
+    const handleReconnect = () => {
+      socket.lastKnownUsers.forEach((userId) => {
+        if (userId !== myId && !users[userId]) {
+          log.info("Re-establishing call", { userId });
+          handleUserConnected(userId);
+        }
+      });
+    };
+
     socket.on("user-connected", handleUserConnected);
+    socket.on("reconnect", handleReconnect);
 
     return () => {
       socket.off("user-connected", handleUserConnected);
+      socket.off("reconnect", handleReconnect);
     };
-  }, [peer, setPlayers, socket, stream]);
+  }, [myId, peer, setPlayers, socket, stream, users]);
 
   useEffect(() => {
     if (!socket) return;
 
-    const handleToggleAudio = (userId) => {
-      console.log(`user with id ${userId} toggled audio`);
+    // Copy the server's participant state onto the matching players
+    const reconcilePlayers = (participants) => {
       setPlayers((prev) => {
         const copy = cloneDeep(prev);
-        if (copy[userId]) {
-          // Toggle the audioEnabled state for display purposes
-          copy[userId].audioEnabled = !copy[userId].audioEnabled;
-          // Set muted based on audioEnabled state - if audio is disabled, mute it
-          copy[userId].muted = !copy[userId].audioEnabled;
-        }
-        return { ...copy };
+        participants.forEach((participant) => {
+          if (participant.id !== myId && copy[participant.id]) {
+            copy[participant.id] = {
+              ...copy[participant.id],
+              ...getParticipantPlayerState(participant),
+            };
+          }
+        });
+        return copy;
       });
     };
 
-    const handleToggleVideo = (userId) => {
-      console.log(`user with id ${userId} toggled video`);
-      setPlayers((prev) => {
-        const copy = cloneDeep(prev);
-        copy[userId].playing = !copy[userId].playing;
-        return { ...copy };
-      });
+    const handleToggleAudio = (userId, participant) => {
+      log.debug("User toggled audio", { userId });
+      if (participant) reconcilePlayers([participant]);
+    };
+
+    const handleToggleVideo = (userId, participant) => {
+      log.debug("User toggled video", { userId });
+      if (participant) reconcilePlayers([participant]);
+    };
+
+    const handleParticipantUpdated = (participant) => {
+      reconcilePlayers([participant]);
     };
 
     const handleUserLeave = (userId) => {
-      console.log(`user ${userId} is leaving the room`);
+      log.debug("User left the room", { userId });
 
       // Clean up chat data channel for leaving user
       cleanupPeerDataChannel(userId);
@@ -219,31 +438,34 @@ const Room = () => {
 
     socket.on("user-toggle-audio", handleToggleAudio);
     socket.on("user-toggle-video", handleToggleVideo);
+    socket.on("participant-updated", handleParticipantUpdated);
+    socket.on("room-participants", reconcilePlayers);
     socket.on("user-leave", handleUserLeave);
 
     return () => {
       socket.off("user-toggle-audio", handleToggleAudio);
       socket.off("user-toggle-video", handleToggleVideo);
+      socket.off("participant-updated", handleParticipantUpdated);
+      socket.off("room-participants", reconcilePlayers);
       socket.off("user-leave", handleUserLeave);
     };
-  }, [players, setPlayers, socket, users, cleanupPeerDataChannel]);
+  }, [myId, players, setPlayers, socket, users, cleanupPeerDataChannel]);
 
   useEffect(() => {
-    if (!peer || !stream) return;
+    if (!socket || !peer || !stream) return;
 
-    peer.on("call", (call) => {
+    const answerCall = (call) => {
       const { peer: callerId } = call;
       call.answer(stream);
 
       call.on("stream", (incomingStream) => {
-        console.log(`incoming stream from ${callerId}`);
+        log.debug("Incoming stream", { userId: callerId });
         setPlayers((prev) => ({
           ...prev,
           [callerId]: {
             url: incomingStream,
-            muted: false, // Allow remote audio to be heard
             playing: true,
-            audioEnabled: true, // Track actual audio state
+            ...getParticipantPlayerState(socket.getParticipant(callerId)),
           },
         }));
 
@@ -255,7 +477,7 @@ const Room = () => {
 
       // Handle call close event
       call.on("close", () => {
-        console.log(`Call closed with ${callerId}`);
+        log.debug("Call closed", { userId: callerId });
         // Remove from players and users when call is closed
         setPlayers((prev) => {
           const copy = cloneDeep(prev);
@@ -272,7 +494,7 @@ const Room = () => {
 
       // Handle call error event
       call.on("error", (error) => {
-        console.error(`Call error with ${callerId}:`, error);
+        log.error("Call failed", { userId: callerId, error });
         // Remove from players and users on error
         setPlayers((prev) => {
           const copy = cloneDeep(prev);
@@ -286,22 +508,42 @@ const Room = () => {
           return copy;
         });
       });
-    });
-  }, [peer, setPlayers, stream]);
+    };
 
-  useEffect(() => {
-    if (!stream || !myId) return;
-
-    console.log(`setting my stream ${myId}`);
-    setPlayers((prev) => ({
-      ...prev,
-      [myId]: {
-        url: stream,
-        muted: true, // Always mute own audio to prevent feedback
-        playing: isVideoEnabled, // Use actual video state
-      },
-    }));
-  }, [myId, setPlayers, stream, isVideoEnabled]); // Removed isAudioEnabled dependency
+    // Calls waiting for our join response, until it arrives or this effect
+    // is torn down
+    const pendingChecks = new Set();
+
+    // Only people admitted to the room may call us; anyone else who knows
+    // our peer id (someone in the lobby, or outside the room) is hung up on
+    const handleCall = (call) => {
+      if (socket.getParticipant(call.peer)) {
+        answerCall(call);
+      } else if (socket.isConnected) {
+        call.close();
+      } else {
+        // A participant's call can beat our own join response
+        const onConnect = () => {
+          socket.off("connect", onConnect);
+          pendingChecks.delete(onConnect);
+          if (socket.getParticipant(call.peer)) {
+            answerCall(call);
+          } else {
+            call.close();
+          }
+        };
+        pendingChecks.add(onConnect);
+        socket.on("connect", onConnect);
+      }
+    };
+
+    peer.on("call", handleCall);
+
+    return () => {
+      peer.off("call", handleCall);
+      pendingChecks.forEach((onConnect) => socket.off("connect", onConnect));
+    };
+  }, [peer, setPlayers, socket, stream]);
 
   // Apply audio output device to all players when it changes
   useEffect(() => {
@@ -311,7 +553,7 @@ const Room = () => {
       videoElements.forEach((video) => {
         if (video.setSinkId) {
           video.setSinkId(selectedAudioOutput).catch((err) => {
-            console.warn("Failed to set audio output device:", err);
+            log.warn("Failed to set audio output device", err);
           });
         }
       });
@@ -329,9 +571,98 @@ const Room = () => {
         />
       )}
 
+      {!hasJoined && stream && (
+        <PreJoinScreen
+          roomId={roomId}
+          stream={stream}
+          profile={profile}
+          isAudioEnabled={isAudioEnabled}
+          isVideoEnabled={isVideoEnabled}
+          onToggleAudio={toggleStreamAudio}
+          onToggleVideo={toggleStreamVideo}
+          audioDevices={audioDevices}
+          videoDevices={videoDevices}
+          selectedAudioInput={selectedAudioInput}
+          selectedVideoInput={selectedVideoInput}
+          onSwitchAudioInput={switchAudioInput}
+          onSwitchVideoInput={switchVideoInput}
+          onJoin={joinRoom}
+          onLeave={() => router.push("/")}
+        />
+      )}
+
+      {accessReason === "room-full" && (
+        <RoomFullScreen
+          maxParticipants={roomCapacity}
+          onRetry={() => retryJoinRoom()}
+          onLeave={() => router.push("/")}
+        />
+      )}
+
+      {accessReason && accessReason !== "room-full" && (
+        <RoomAccessPrompt
+          key={accessReason}
+          reason={accessReason}
+          onSubmitPassword={retryJoinRoom}
+          onRetry={() => retryJoinRoom()}
+          onLeave={() =>
+            // Leaving the lobby takes us off the host's waiting list
+            accessReason === "waiting" ? leaveRoom() : router.push("/")
+          }
+        />
+      )}
+
+      {canModerate && (
+        <LobbyPanel
+          waiting={lobby}
+          onAdmit={admitParticipant}
+          onDeny={denyParticipant}
+        />
+      )}
+
+      {showParticipants && (
+        <ParticipantsPanel
+          // Our own entry shows the profile as we last saved it
+          participants={participants.map((participant) =>
+            participant.id === myId
+              ? { ...participant, ...profile }
+              : participant
+          )}
+          myId={myId}
+          profile={profile}
+          onSaveProfile={updateProfile}
+          onClose={() => setShowParticipants(false)}
+        />
+      )}
+
+      {showSettings && (
+        <DeviceSettings
+          stream={stream}
+          audioDevices={audioDevices}
+          videoDevices={videoDevices}
+          selectedAudioInput={selectedAudioInput}
+          selectedAudioOutput={selectedAudioOutput}
+          selectedVideoInput={selectedVideoInput}
+          onSwitchAudioInput={switchAudioInput}
+          onSwitchAudioOutput={switchAudioOutput}
+          onSwitchVideoInput={switchVideoInput}
+          isAudioEnabled={isAudioEnabled}
+          isVideoEnabled={isVideoEnabled}
+          isScreenSharing={isScreenSharing}
+          onClose={() => setShowSettings(false)}
+        />
+      )}
+
       <SimpleCallLayout
         roomId={roomId}
         participants={Object.keys(players)}
+        onToggleParticipants={() => setShowParticipants((shown) => !shown)}
+        isLocked={isRoomLocked}
+        onToggleLock={
+          myId && socket && !accessReason && canModerate
+            ? () => socket.emit("lock-room", !isRoomLocked)
+            : undefined
+        }
         onShare={() => {
           if (navigator.clipboard) {
             navigator.clipboard.writeText(window.location.href);
@@ -350,11 +681,17 @@ const Room = () => {
                   : null
               }
               onPlayerClick={(playerId) => {
-                console.log(`Player ${playerId} clicked`);
+                log.debug("Player clicked", { playerId });
               }}
               myId={myId}
+              presenterId={presenterId}
+              screenStream={screenStream}
               isAudioEnabled={isAudioEnabled} // Pass actual audio state
               selectedAudioOutput={selectedAudioOutput} // Pass selected audio output
+              myRole={myRole}
+              onMuteParticipant={muteParticipant}
+              onRemoveParticipant={removeParticipant}
+              onSetParticipantRole={setParticipantRole}
               className="h-full"
             />
           </div>
@@ -371,9 +708,15 @@ const Room = () => {
             muted={!isAudioEnabled} // When audio is OFF, show as muted
             playing={isVideoEnabled}
             toggleAudio={toggleAudio}
-            // toggleVideo={toggleVideo}
+            toggleVideo={hasCamera ? toggleVideo : undefined}
+            screenSharing={isScreenSharing}
+            toggleScreenShare={canScreenShare ? toggleScreenShare : undefined}
             leaveRoom={leaveRoom}
+            onOpenSettings={stream ? () => setShowSettings(true) : undefined}
             onTroubleshoot={() => setShowTroubleshooter(true)}
+            onDownloadLogs={isLogBufferEnabled() ? downloadLogs : undefined}
+            onMuteAll={canModerate ? muteAll : undefined}
+            onEndRoom={myRole === "host" ? endRoom : undefined}
           />
         )}
 
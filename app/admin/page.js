@@ -0,0 +1,297 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import { RefreshCw, LogOut } from "lucide-react";
+
+import AdminRoomDetail, {
+  formatDuration,
+} from "@/components/ui/admin-room-detail";
+
+// The admin token is kept for the browser tab only
+const TOKEN_KEY = "streamtalk:admin-token";
+const REFRESH_INTERVAL = 5000;
+
+export default function Admin() {
+  const [token, setToken] = useState("");
+  const [tokenInput, setTokenInput] = useState("");
+  const [overview, setOverview] = useState(null);
+  const [selectedRoomId, setSelectedRoomId] = useState(null);
+  const [selectedRoom, setSelectedRoom] = useState(null);
+  const [autoRefresh, setAutoRefresh] = useState(true);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    try {
+      setToken(sessionStorage.getItem(TOKEN_KEY) || "");
+    } catch (error) {
+      // Storage unavailable; ask for the token
+    }
+  }, []);
+
+  const signOut = useCallback(() => {
+    try {
+      sessionStorage.removeItem(TOKEN_KEY);
+    } catch (error) {
+      // Nothing stored
+    }
+    setToken("");
+    setOverview(null);
+    setSelectedRoomId(null);
+  }, []);
+
+  const adminFetch = useCallback(
+    async (path, options = {}) => {
+      const response = await fetch(`/api/admin${path}`, {
+        ...options,
+        headers: { Authorization: `Bearer ${token}` },
+        cache: "no-store",
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (response.status === 401) {
+        signOut();
+        setError("Invalid admin token");
+      }
+      if (!response.ok) {
+        throw Object.assign(new Error(data.error || "Request failed"), {
+          status: response.status,
+        });
+      }
+      return data;
+    },
+    [token, signOut]
+  );
+
+  const refresh = useCallback(async () => {
+    if (!token) return;
+
+    try {
+      setOverview(await adminFetch("/rooms"));
+      if (selectedRoomId) {
+        try {
+          const { room } = await adminFetch(
+            `/rooms/${encodeURIComponent(selectedRoomId)}`
+          );
+          setSelectedRoom(room);
+        } catch (error) {
+          // The room is gone; drop the detail panel
+          if (error.status !== 404) throw error;
+          setSelectedRoomId(null);
+          setSelectedRoom(null);
+        }
+      }
+      setError("");
+    } catch (error) {
+      setError(error.message);
+    }
+  }, [token, selectedRoomId, adminFetch]);
+
+  // Live refresh
+  useEffect(() => {
+    refresh();
+    if (!autoRefresh) return;
+
+    const timer = setInterval(refresh, REFRESH_INTERVAL);
+    return () => clearInterval(timer);
+  }, [refresh, autoRefresh]);
+
+  const handleSignIn = (e) => {
+    e.preventDefault();
+    if (!tokenInput) return;
+
+    try {
+      sessionStorage.setItem(TOKEN_KEY, tokenInput);
+    } catch (error) {
+      // Storage unavailable; the token lasts until reload
+    }
+    setToken(tokenInput);
+    setTokenInput("");
+    setError("");
+  };
+
+  const closeRoom = async (roomId) => {
+    if (!confirm(`Close room ${roomId} and send everyone in it home?`)) return;
+
+    try {
+      await adminFetch(`/rooms/${encodeURIComponent(roomId)}`, {
+        method: "DELETE",
+      });
+      setSelectedRoomId(null);
+      setSelectedRoom(null);
+      refresh();
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const evictSession = async (sessionId) => {
+    try {
+      await adminFetch(`/sessions/${encodeURIComponent(sessionId)}`, {
+        method: "DELETE",
+      });
+      refresh();
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  if (!token) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-slate-900 via-purple-900 to-slate-900 flex items-center justify-center px-4">
+        <form
+          onSubmit={handleSignIn}
+          className="bg-white/10 backdrop-blur-xl border border-white/20 rounded-3xl p-8 max-w-md w-full text-center shadow-2xl space-y-4"
+        >
+          <h1 className="text-white text-2xl font-semibold">
+            StreamTalk admin
+          </h1>
+          <p className="text-gray-300 text-sm">
+            Enter the server&apos;s <code>ADMIN_TOKEN</code> to continue.
+          </p>
+          <input
+            type="password"
+            autoFocus
+            value={tokenInput}
+            onChange={(e) => setTokenInput(e.target.value)}
+            placeholder="Admin token"
+            className="w-full p-3 bg-white/5 border border-white/20 text-white rounded-2xl focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent placeholder-gray-400"
+          />
+          {error && <p className="text-red-300 text-xs">{error}</p>}
+          <button
+            type="submit"
+            disabled={!tokenInput}
+            className="w-full px-6 py-3 bg-gradient-to-r from-blue-500 to-purple-500 text-white rounded-2xl hover:from-blue-600 hover:to-purple-600 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 shadow-lg"
+          >
+            Sign in
+          </button>
+        </form>
+      </div>
+    );
+  }
+
+  const totals = overview?.totals;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-900 via-purple-900 to-slate-900 px-4 py-8">
+      <div className="max-w-6xl mx-auto space-y-6">
+        {/* Header */}
+        <div className="flex items-center justify-between">
+          <h1 className="text-white text-2xl font-semibold">Active rooms</h1>
+          <div className="flex items-center space-x-3 text-sm">
+            <label className="flex items-center gap-2 text-gray-300 cursor-pointer">
+              <input
+                type="checkbox"
+                className="w-4 h-4 accent-purple-500"
+                checked={autoRefresh}
+                onChange={(e) => setAutoRefresh(e.target.checked)}
+              />
+              Live refresh
+            </label>
+            <button
+              onClick={refresh}
+              className="p-2 rounded-full bg-white/10 text-gray-200 hover:bg-white/20"
+              title="Refresh now"
+            >
+              <RefreshCw size={16} />
+            </button>
+            <button
+              onClick={signOut}
+              className="p-2 rounded-full bg-white/10 text-gray-200 hover:bg-white/20"
+              title="Sign out"
+            >
+              <LogOut size={16} />
+            </button>
+          </div>
+        </div>
+
+        {error && (
+          <div className="px-4 py-3 bg-red-500/10 border border-red-400/30 rounded-2xl text-red-200 text-sm">
+            {error}
+          </div>
+        )}
+
+        {/* Totals */}
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          {[
+            ["Rooms", totals?.rooms],
+            ["Participants", totals?.participants],
+            ["In lobbies", totals?.waiting],
+            ["Sessions", totals?.sessions],
+          ].map(([label, value]) => (
+            <div
+              key={label}
+              className="bg-white/10 border border-white/20 rounded-2xl p-4"
+            >
+              <p className="text-gray-400 text-xs uppercase">{label}</p>
+              <p className="text-white text-2xl font-semibold">
+                {value ?? "—"}
+              </p>
+            </div>
+          ))}
+        </div>
+
+        {/* Room list */}
+        <div className="bg-white/10 backdrop-blur-lg border border-white/20 rounded-3xl overflow-x-auto">
+          <table className="w-full text-sm text-left">
+            <thead className="text-gray-400 text-xs uppercase">
+              <tr>
+                <th className="px-4 py-3">Room</th>
+                <th className="px-4 py-3">Participants</th>
+                <th className="px-4 py-3">Lobby</th>
+                <th className="px-4 py-3">Open for</th>
+                <th className="px-4 py-3">Settings</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-white/10">
+              {overview?.rooms.map((room) => (
+                <tr
+                  key={room.id}
+                  onClick={() => setSelectedRoomId(room.id)}
+                  className={`cursor-pointer hover:bg-white/5 ${
+                    room.id === selectedRoomId ? "bg-white/10" : ""
+                  }`}
+                >
+                  <td className="px-4 py-3 font-mono text-xs text-white">
+                    {room.id}
+                  </td>
+                  <td className="px-4 py-3 text-gray-300">
+                    {room.participantCount}/{room.maxParticipants}
+                  </td>
+                  <td className="px-4 py-3 text-gray-300">
+                    {room.lobbyEnabled ? room.waitingCount : "—"}
+                  </td>
+                  <td className="px-4 py-3 text-gray-300">
+                    {formatDuration(room.ageMs)}
+                  </td>
+                  <td className="px-4 py-3 text-gray-400">
+                    {[
+                      room.locked && "locked",
+                      room.hasPassword && "password",
+                      room.lobbyEnabled && "waiting room",
+                    ]
+                      .filter(Boolean)
+                      .join(", ") || "—"}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {overview?.rooms.length === 0 && (
+            <p className="text-gray-400 text-sm text-center py-6">
+              No active rooms.
+            </p>
+          )}
+        </div>
+
+        {selectedRoom && selectedRoom.id === selectedRoomId && (
+          <AdminRoomDetail
+            room={selectedRoom}
+            onClose={() => setSelectedRoomId(null)}
+            onCloseRoom={closeRoom}
+            onEvictSession={evictSession}
+          />
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+import { getStore } from "@/lib/signaling/storage";
+import { publishRoomEvent } from "@/lib/signaling/room-events";
+import { endRoom } from "@/lib/signaling/room-state";
+import { authorizeAdmin, toAdminRoom } from "@/lib/signaling/admin";
+import { createLogger } from "@/lib/logger";
+
+const log = createLogger("signaling");
+
+// Always read the live store
+export const dynamic = "force-dynamic";
+
+// Everyone in a room, with their sessions, and its lobby
+export async function GET(request, { params }) {
+  const rejected = await authorizeAdmin(request);
+  if (rejected) return rejected;
+
+  try {
+    const { roomId } = await params;
+    const store = getStore();
+    const room = await store.getRoom(roomId);
+    if (!room) {
+      return Response.json({ error: "Room not found" }, { status: 404 });
+    }
+
+    return Response.json({
+      room: toAdminRoom(room, await store.listSessions()),
+    });
+  } catch (error) {
+    log.error("Admin API request failed", error);
+    return Response.json({ error: "Internal server error" }, { status: 500 });
+  }
+}
+
+// Force-close a room: everyone in it is sent home as if the host ended it
+export async function DELETE(request, { params }) {
+  const rejected = await authorizeAdmin(request);
+  if (rejected) return rejected;
+
+  try {
+    const { roomId } = await params;
+    if (!(await getStore().getRoom(roomId))) {
+      return Response.json({ error: "Room not found" }, { status: 404 });
+    }
+
+    publishRoomEvent(roomId, "room-ended", { userId: null, reason: "closed" });
+    await endRoom(roomId, "closed");
+    return Response.json({ success: true });
+  } catch (error) {
+    log.error("Admin API request failed", error);
+    return Response.json({ error: "Internal server error" }, { status: 500 });
+  }
+}
@@ -0,0 +1,40 @@
+import { getStore } from "@/lib/signaling/storage";
+import { authorizeAdmin, toAdminRoomSummary } from "@/lib/signaling/admin";
+import { createLogger } from "@/lib/logger";
+
+const log = createLogger("signaling");
+
+// Always read the live store
+export const dynamic = "force-dynamic";
+
+// List every room with its head count, plus totals for the whole server
+export async function GET(request) {
+  const rejected = await authorizeAdmin(request);
+  if (rejected) return rejected;
+
+  try {
+    const store = getStore();
+    const now = Date.now();
+    const rooms = (await store.listRooms())
+      .map((room) => toAdminRoomSummary(room, now))
+      .sort((a, b) => a.createdAt - b.createdAt);
+    const sessions = await store.listSessions();
+
+    return Response.json({
+      rooms,
+      totals: {
+        rooms: rooms.length,
+        participants: rooms.reduce(
+          (sum, room) => sum + room.participantCount,
+          0
+        ),
+        waiting: rooms.reduce((sum, room) => sum + room.waitingCount, 0),
+        sessions: sessions.length,
+      },
+      generatedAt: now,
+    });
+  } catch (error) {
+    log.error("Admin API request failed", error);
+    return Response.json({ error: "Internal server error" }, { status: 500 });
+  }
+}
@@ -0,0 +1,24 @@
+import { evictSession } from "@/lib/signaling/room-state";
+import { authorizeAdmin, toAdminSession } from "@/lib/signaling/admin";
+import { createLogger } from "@/lib/logger";
+
+const log = createLogger("signaling");
+
+// End a session; its user is removed from their room or lobby
+export async function DELETE(request, { params }) {
+  const rejected = await authorizeAdmin(request);
+  if (rejected) return rejected;
+
+  try {
+    const { sessionId } = await params;
+    const session = await evictSession(sessionId);
+    if (!session) {
+      return Response.json({ error: "Session not found" }, { status: 404 });
+    }
+
+    return Response.json({ success: true, session: toAdminSession(session) });
+  } catch (error) {
+    log.error("Admin API request failed", error);
+    return Response.json({ error: "Internal server error" }, { status: 500 });
+  }
+}
@@ -0,0 +1,11 @@
+import { clientConfig } from "@/lib/signaling/config";
+
+// Read from the environment at runtime, never at build time
+export const dynamic = "force-dynamic";
+
+// Polling, reconnect and retry timings for the browser
+export async function GET() {
+  return Response.json(clientConfig, {
+    headers: { "Cache-Control": "no-store" },
+  });
+}
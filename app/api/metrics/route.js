@@ -0,0 +1,55 @@
+import { getStore } from "@/lib/signaling/storage";
+import { getWaitingList } from "@/lib/signaling/room-state";
+import { registerGauge, renderMetrics } from "@/lib/signaling/metrics";
+import { hasBearerToken } from "@/lib/signaling/admin";
+import { createLogger } from "@/lib/logger";
+
+const log = createLogger("signaling");
+
+// Always read the live registry and store
+export const dynamic = "force-dynamic";
+
+// Current room, participant and session counts, read from the store when
+// Prometheus scrapes
+const countRooms = async (count) =>
+  (await getStore().listRooms()).reduce((sum, room) => sum + count(room), 0);
+
+registerGauge("streamtalk_rooms", "Rooms currently open", () =>
+  countRooms(() => 1)
+);
+registerGauge(
+  "streamtalk_participants",
+  "Participants currently in a room",
+  () => countRooms((room) => room.users.length)
+);
+registerGauge(
+  "streamtalk_waiting_participants",
+  "People currently waiting in a room lobby",
+  () => countRooms((room) => getWaitingList(room).length)
+);
+registerGauge(
+  "streamtalk_sessions",
+  "Live sessions, including lobby sessions",
+  async () => (await getStore().listSessions()).length
+);
+
+// Metrics for Prometheus. Set METRICS_TOKEN to require
+// `Authorization: Bearer <METRICS_TOKEN>` from the scraper.
+export async function GET(request) {
+  const metricsToken = process.env.METRICS_TOKEN;
+  if (metricsToken && !hasBearerToken(request, metricsToken)) {
+    return Response.json({ error: "Unauthorized" }, { status: 401 });
+  }
+
+  try {
+    return new Response(await renderMetrics(), {
+      headers: {
+        "Content-Type": "text/plain; version=0.0.4; charset=utf-8",
+        "Cache-Control": "no-store",
+      },
+    });
+  } catch (error) {
+    log.error("Metrics request failed", error);
+    return Response.json({ error: "Internal server error" }, { status: 500 });
+  }
+}
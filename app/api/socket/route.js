@@ -1,87 +1,559 @@
 import { NextRequest } from "next/server";
+import { randomBytes } from "node:crypto";
+import {
+  publishRoomEvent,
+  getRoomEventsSince,
+  getRemovalEvent,
+  getLatestEventId,
+  pruneRoomEvents,
+  isEventFor,
+} from "@/lib/signaling/room-events";
+import {
+  cleanupOldSessions,
+  removeUserFromRoom,
+  createParticipant,
+  replaceStaleEntry,
+  announceReplacedEntry,
+  createSession,
+  touchSession,
+  toParticipant,
+  updateParticipant,
+  createRoomRecord,
+  toRoomInfo,
+  getRoomSession,
+  getWaitingList,
+  publishLobbyUpdate,
+  normalizeParticipantState,
+  isModerator,
+  setParticipantRole,
+  endRoom,
+  getRoomCapacity,
+  isRoomFull,
+  notifyRoomCreated,
+  notifyParticipantJoined,
+} from "@/lib/signaling/room-state";
+import { getStore } from "@/lib/signaling/storage";
+import { hashPassword, verifyPassword } from "@/lib/signaling/passwords";
+import { validateRequest, isKnownAction } from "@/lib/signaling/validation";
+import { rateLimitRequest, pruneRateLimits } from "@/lib/signaling/rate-limit";
+import { recordApiRequest, joins } from "@/lib/signaling/metrics";
+import { serverConfig } from "@/lib/signaling/config";
+import { createLogger } from "@/lib/logger";
 
-// In-memory store for room data (in production, use Redis or similar)
-const rooms = new Map();
-const userSessions = new Map();
-
-// Clean up old sessions (older than 5 minutes)
-const cleanupOldSessions = () => {
-  const now = Date.now();
-  const fiveMinutes = 5 * 60 * 1000;
-
-  for (const [sessionId, session] of userSessions.entries()) {
-    if (now - session.lastSeen > fiveMinutes) {
-      // Remove user from room
-      if (session.roomId && rooms.has(session.roomId)) {
-        const room = rooms.get(session.roomId);
-        room.users = room.users.filter((user) => user.id !== session.userId);
-        if (room.users.length === 0) {
-          rooms.delete(session.roomId);
-        }
-      }
-      userSessions.delete(sessionId);
+const log = createLogger("signaling");
+
+// Expire sessions, idle rooms, old events and rate-limit buckets
+setInterval(() => {
+  cleanupOldSessions().catch((error) => {
+    log.error("Session cleanup failed", error);
+  });
+  pruneRoomEvents();
+  pruneRateLimits();
+}, serverConfig.cleanupIntervalMs);
+
+// Everything a client needs once it is in the room
+const joinedResponse = (room, session, extra = {}) =>
+  Response.json({
+    success: true,
+    sessionId: session.id,
+    resumeToken: session.resumeToken,
+    room: toRoomInfo(room),
+    roomUsers: room.users.map((u) => u.id),
+    participants: room.users.map(toParticipant),
+    lobby: getWaitingList(room),
+    eventCursor: getLatestEventId(),
+    ...extra,
+  });
+
+// Sent when create-room finds the id already taken
+const roomExistsResponse = () =>
+  Response.json(
+    { error: "Room already exists", code: "room-exists" },
+    { status: 409 }
+  );
+
+// Sent when a room has no place left; the capacity lets clients explain why
+const roomFullResponse = (room) =>
+  Response.json(
+    {
+      error: "This room is full",
+      code: "room-full",
+      maxParticipants: getRoomCapacity(room),
+    },
+    { status: 409 }
+  );
+
+// Answers for a refused join; the code tells the room page why
+const JOIN_REFUSALS = {
+  "password-required": { error: "This room requires a password", status: 401 },
+  "invalid-password": { error: "Incorrect room password", status: 403 },
+  "user-id-in-use": { error: "This user id is already in use", status: 409 },
+  "room-locked": { error: "This room is locked", status: 423 },
+};
+
+const refuseJoin = (code, room) => {
+  if (code === "room-full") return roomFullResponse(room);
+  const { error, status } = JOIN_REFUSALS[code];
+  return Response.json({ error, code }, { status });
+};
+
+// Pick up a session after a dropped connection. Only works while the
+// session is alive and still the one the user is in the room with.
+const resumeSession = async (
+  roomId,
+  { userId, sessionId, resumeToken, state }
+) => {
+  const session = await getRoomSession(sessionId, roomId, userId);
+  if (!session || !resumeToken || session.resumeToken !== resumeToken) {
+    return null;
+  }
+
+  // Apply anything that changed locally while we were offline
+  let resumedRoom = null;
+  let participant = null;
+  await getStore().updateRoom(roomId, (room) => {
+    const user = room?.users.find(
+      (user) => user.id === userId && user.sessionId === sessionId
+    );
+    resumedRoom = user ? room : null;
+    participant = null;
+    if (!user) return;
+
+    const previous = JSON.stringify(user);
+    Object.assign(user, normalizeParticipantState(state));
+    if (JSON.stringify(user) === previous) return;
+    participant = toParticipant(user);
+    return room;
+  });
+  if (!resumedRoom) return null;
+
+  await touchSession(sessionId);
+  if (participant) {
+    publishRoomEvent(roomId, "participant-updated", { userId, participant });
+  }
+
+  joins.inc({ kind: "resumed" });
+  return joinedResponse(resumedRoom, session, { resumed: true });
+};
+
+// Decide a join against the room record as it is right now, and apply it.
+// Runs inside the room update, so concurrent joins can't both take the last
+// place; it only changes the record and reports what it did.
+const planJoin = (
+  current,
+  { roomId, userId, passwordHash, hostKey, sessionId, clientId, state, session }
+) => {
+  const room = current || createRoomRecord(roomId);
+
+  // The password was checked against the room we read before
+  if ((room.passwordHash || null) !== passwordHash) {
+    return { refusal: "password-required" };
+  }
+
+  // Anyone can send a peer id, so an entry that is already in the room is
+  // only taken over by its own browser or session, never by a stranger
+  // picking the same id
+  const existingEntry = room.users.find((user) => user.id === userId);
+  const ownsExistingEntry =
+    existingEntry &&
+    ((clientId && clientId === existingEntry.clientId) ||
+      (sessionId && sessionId === existingEntry.sessionId));
+  if (existingEntry && !ownsExistingEntry) {
+    return { refusal: "user-id-in-use" };
+  }
+
+  // The same browser coming back under a new peer id, usually after a
+  // reload. It takes over the entry it left behind, keeping its place in
+  // the call (or the lobby) instead of leaving a ghost until it times out.
+  const staleEntry = clientId
+    ? [...room.users, ...(room.waiting || [])].find(
+        (entry) => entry.clientId === clientId && entry.id !== userId
+      )
+    : null;
+  const replacedUser = room.users.includes(staleEntry) ? staleEntry : null;
+
+  // Someone a host let in from the lobby
+  const waitingEntry = room.waiting?.find((entry) => entry.id === userId);
+  const admitted = Boolean(
+    waitingEntry?.admitted || (!replacedUser && staleEntry?.admitted)
+  );
+  const hasPlace = Boolean(existingEntry || replacedUser || admitted);
+
+  // A locked room still lets its current participants reconnect
+  if (room.locked && !hasPlace) {
+    return { refusal: "room-locked" };
+  }
+
+  // Reconnecting participants and admitted lobby users already have a place
+  if (!hasPlace && isRoomFull(room)) {
+    return { refusal: "room-full", room };
+  }
+
+  // The creator's host key makes them host, a reconnect keeps its role and
+  // the first person into a room nobody moderates becomes host. Lobby rooms
+  // wait for their creator instead, so nobody skips the lobby by arriving
+  // early.
+  const existingUser = existingEntry || replacedUser;
+  let role = existingUser?.role || "participant";
+  if (hostKey && hostKey === room.hostKey) {
+    role = "host";
+  } else if (
+    !existingUser &&
+    !room.lobbyEnabled &&
+    !room.users.some(isModerator)
+  ) {
+    role = "host";
+  }
+
+  const wasInCall = staleEntry ? replaceStaleEntry(room, staleEntry) : false;
+  const plan = { room, created: !current, staleEntry, wasInCall };
+
+  // Lobby rooms hold newcomers until a host or co-host admits them; the
+  // waiting session only receives events addressed to it
+  if (room.lobbyEnabled && !existingUser && !admitted && role !== "host") {
+    const {
+      displayName = "",
+      avatarColor = "",
+      initials = "",
+    } = normalizeParticipantState(state);
+    room.waiting = [
+      ...(room.waiting || []).filter((entry) => entry.id !== userId),
+      {
+        id: userId,
+        sessionId: session.id,
+        clientId: clientId || null,
+        displayName,
+        avatarColor,
+        initials,
+        requestedAt: Date.now(),
+        admitted: false,
+      },
+    ];
+    return { ...plan, waiting: true };
+  }
+
+  if (waitingEntry) {
+    room.waiting = room.waiting.filter((entry) => entry !== waitingEntry);
+  }
+
+  const participant = createParticipant(
+    userId,
+    session.id,
+    state,
+    role,
+    clientId
+  );
+  if (existingEntry) {
+    room.users = room.users.map((user) =>
+      user === existingEntry ? participant : user
+    );
+  } else {
+    room.users.push(participant);
+  }
+
+  return {
+    ...plan,
+    participant,
+    rejoin: Boolean(existingEntry),
+    // The session the entry had, which must not outlive it
+    replacedSessionId:
+      existingEntry && existingEntry.sessionId !== session.id
+        ? existingEntry.sessionId
+        : null,
+    leftLobby: Boolean(waitingEntry || (staleEntry && !wasInCall)),
+  };
+};
+
+// Add a user to a room (creating it if needed) and start their session, or
+// resume the one they have. Shared by GET (legacy) and POST, which is the
+// only way to send a password, resume token or client id.
+const joinRoom = async ({
+  roomId,
+  userId,
+  password,
+  hostKey,
+  sessionId,
+  resumeToken,
+  clientId,
+  state,
+}) => {
+  const store = getStore();
+
+  if (!roomId || !userId) {
+    return Response.json(
+      { error: "Missing roomId or userId" },
+      { status: 400 }
+    );
+  }
+
+  // Joining a room nobody created yet creates it, but reconnecting to one
+  // that has since ended must not bring it back
+  const existingRoom = await store.getRoom(roomId);
+  if (!existingRoom && sessionId) {
+    return Response.json(
+      { error: "This room has ended", code: "room-ended" },
+      { status: 404 }
+    );
+  }
+
+  // The resume token already proved this client got in, so it skips the
+  // password, lock and lobby checks
+  if (existingRoom && sessionId) {
+    const resumed = await resumeSession(roomId, {
+      userId,
+      sessionId,
+      resumeToken,
+      state,
+    });
+    if (resumed) return resumed;
+  }
+
+  const passwordHash = existingRoom?.passwordHash || null;
+  if (passwordHash) {
+    if (!password) return refuseJoin("password-required");
+    if (!(await verifyPassword(password, passwordHash))) {
+      return refuseJoin("invalid-password");
     }
   }
+
+  // Started up front so the room update can place it; dropped again if the
+  // join is refused
+  const session = await createSession(userId, roomId);
+
+  let plan = null;
+  await store.updateRoom(roomId, (current) => {
+    plan = planJoin(current, {
+      roomId,
+      userId,
+      passwordHash,
+      hostKey,
+      sessionId,
+      clientId,
+      state,
+      session,
+    });
+    return plan.refusal ? undefined : plan.room;
+  });
+
+  if (plan.refusal) {
+    await store.deleteSession(session.id);
+    return refuseJoin(plan.refusal, plan.room);
+  }
+
+  const { room, participant, staleEntry, wasInCall } = plan;
+  if (staleEntry) {
+    await announceReplacedEntry(room, staleEntry, userId, wasInCall);
+  }
+
+  if (plan.waiting) {
+    publishLobbyUpdate(room, userId);
+    joins.inc({ kind: "waiting" });
+
+    return Response.json(
+      {
+        waiting: true,
+        sessionId: session.id,
+        room: toRoomInfo(room),
+        eventCursor: getLatestEventId(),
+      },
+      { status: 202 }
+    );
+  }
+
+  if (plan.replacedSessionId) {
+    await store.deleteSession(plan.replacedSessionId);
+  }
+
+  if (plan.rejoin) {
+    joins.inc({ kind: "rejoin" });
+  } else {
+    if (plan.created) notifyRoomCreated(room);
+    publishRoomEvent(roomId, "user-connected", {
+      userId,
+      participant: toParticipant(participant),
+    });
+    notifyParticipantJoined(room, participant);
+    joins.inc({ kind: staleEntry && wasInCall ? "rejoin" : "new" });
+  }
+
+  if (plan.leftLobby) {
+    publishLobbyUpdate(room, userId);
+  }
+
+  return joinedResponse(room, session);
 };
 
-// Run cleanup every minute
-setInterval(cleanupOldSessions, 60000);
+// Check the caller has a live session and may moderate the room. Resolves to
+// { room, moderator } or, when the action is not allowed, { response }.
+const authorizeModerator = async (
+  { roomId, userId, sessionId },
+  { hostOnly = false } = {}
+) => {
+  if (!roomId || !userId) {
+    return {
+      response: Response.json(
+        { error: "Missing roomId or userId" },
+        { status: 400 }
+      ),
+    };
+  }
+
+  if (!(await getRoomSession(sessionId, roomId, userId))) {
+    return {
+      response: Response.json({ error: "Session not found" }, { status: 404 }),
+    };
+  }
+
+  const room = await getStore().getRoom(roomId);
+  const moderator = room?.users.find((user) => user.id === userId);
+  if (!moderator) {
+    return {
+      response: Response.json({ error: "User not in room" }, { status: 404 }),
+    };
+  }
+
+  if (hostOnly ? moderator.role !== "host" : !isModerator(moderator)) {
+    return {
+      response: Response.json(
+        {
+          error: hostOnly
+            ? "Only the host can do that"
+            : "Only a host or co-host can do that",
+          code: "forbidden",
+        },
+        { status: 403 }
+      ),
+    };
+  }
+
+  return { room, moderator };
+};
+
+// Find the participant a moderation action is aimed at. Nobody can target
+// themselves, and co-hosts cannot act on the host.
+const findModerationTarget = (room, moderator, targetUserId) => {
+  const target = room.users.find((user) => user.id === targetUserId);
+  if (!target) {
+    return {
+      response: Response.json(
+        { error: "Target user not in room" },
+        { status: 404 }
+      ),
+    };
+  }
+
+  if (target.id === moderator.id) {
+    return {
+      response: Response.json(
+        { error: "Cannot target yourself" },
+        { status: 400 }
+      ),
+    };
+  }
+
+  if (target.role === "host" && moderator.role !== "host") {
+    return {
+      response: Response.json(
+        { error: "Co-hosts cannot moderate the host", code: "forbidden" },
+        { status: 403 }
+      ),
+    };
+  }
+
+  return { target };
+};
+
+// Mute a participant on the server and tell their client to turn off its mic
+const muteParticipant = async (roomId, moderatorId, targetUserId) => {
+  const participant = await updateParticipant(roomId, targetUserId, {
+    audioEnabled: false,
+  });
+  publishRoomEvent(roomId, "user-toggle-audio", {
+    userId: targetUserId,
+    participant,
+  });
+  publishRoomEvent(roomId, "force-mute", { userId: moderatorId, targetUserId });
+  return participant;
+};
+
+// Leave on behalf of a session, sent as GET or POST (navigator.sendBeacon
+// from a closing tab). Only the session that sent it leaves; one that was
+// already replaced or timed out has nothing left to remove.
+const leaveRoom = async (roomId, userId, sessionId) => {
+  if (await getRoomSession(sessionId, roomId, userId)) {
+    await removeUserFromRoom(roomId, userId, "left", sessionId);
+  }
+  return Response.json({ success: true });
+};
+
+// Keep a session alive while its client polls instead of streaming
+const pingSession = async (sessionId) => {
+  if (await touchSession(sessionId)) {
+    return Response.json({ success: true });
+  }
+  return Response.json({ error: "Session not found" }, { status: 404 });
+};
+
+// Every action is validated and rate limited the same way, whichever
+// method carries it
+const rejectRequest = async (method, request, params) =>
+  validateRequest(method, params) ||
+  (await rateLimitRequest(request, {
+    action: params.action,
+    sessionId: params.sessionId,
+  }));
+
+// Count and time every request by action, for /api/metrics
+const instrument = async (method, action, handle) => {
+  const startedAt = performance.now();
+  const response = await handle();
+  recordApiRequest(
+    method,
+    isKnownAction(method, action) ? action : "unknown",
+    response.status,
+    startedAt
+  );
+  return response;
+};
 
 export async function GET(request) {
+  const action = new URL(request.url).searchParams.get("action");
+  return instrument("GET", action, () => handleGet(request));
+}
+
+export async function POST(request) {
+  const body = await request.json().catch(() => null);
+  return instrument("POST", body?.action, () => handlePost(request, body));
+}
+
+const handleGet = async (request) => {
   const { searchParams } = new URL(request.url);
   const action = searchParams.get("action");
   const roomId = searchParams.get("roomId");
   const userId = searchParams.get("userId");
   const sessionId = searchParams.get("sessionId");
+  const store = getStore();
+
+  const rejected = await rejectRequest(
+    "GET",
+    request,
+    Object.fromEntries(searchParams)
+  );
+  if (rejected) return rejected;
 
   try {
     switch (action) {
       case "join-room":
-        if (!roomId || !userId) {
-          return Response.json(
-            { error: "Missing roomId or userId" },
-            { status: 400 }
-          );
-        }
-
-        // Create session
-        const newSessionId = `session_${Date.now()}_${Math.random()
-          .toString(36)
-          .substr(2, 9)}`;
-        userSessions.set(newSessionId, {
-          userId,
+        return await joinRoom({
           roomId,
-          lastSeen: Date.now(),
-        });
-
-        // Add user to room
-        if (!rooms.has(roomId)) {
-          rooms.set(roomId, { users: [] });
-        }
-
-        const room = rooms.get(roomId);
-        const existingUserIndex = room.users.findIndex(
-          (user) => user.id === userId
-        );
-
-        if (existingUserIndex >= 0) {
-          room.users[existingUserIndex] = {
-            id: userId,
-            sessionId: newSessionId,
-            joinedAt: Date.now(),
-          };
-        } else {
-          room.users.push({
-            id: userId,
-            sessionId: newSessionId,
-            joinedAt: Date.now(),
-          });
-        }
-
-        return Response.json({
-          success: true,
-          sessionId: newSessionId,
-          roomUsers: room.users.map((u) => u.id),
+          userId,
+          state: {
+            audioEnabled: searchParams.get("audioEnabled"),
+            videoEnabled: searchParams.get("videoEnabled"),
+            displayName: searchParams.get("displayName"),
+            avatarColor: searchParams.get("avatarColor"),
+            initials: searchParams.get("initials"),
+          },
         });
 
       case "get-room-users":
@@ -89,89 +561,326 @@ export async function GET(request) {
           return Response.json({ error: "Missing roomId" }, { status: 400 });
         }
 
-        const roomData = rooms.get(roomId);
+        // Only someone with a session in the room may see who is in it
+        if (!(await getRoomSession(sessionId, roomId, userId))) {
+          return Response.json({ error: "Session not found" }, { status: 404 });
+        }
+
+        const roomData = await store.getRoom(roomId);
         if (!roomData) {
           return Response.json({ users: [] });
         }
 
-        return Response.json({ users: roomData.users.map((u) => u.id) });
+        return Response.json({ users: roomData.users.map(toParticipant) });
 
-      case "leave-room":
-        if (!roomId || !userId) {
+      case "get-events":
+        if (!roomId) {
+          return Response.json({ error: "Missing roomId" }, { status: 400 });
+        }
+
+        const cursor = Number(searchParams.get("cursor")) || 0;
+        if (!(await getRoomSession(sessionId, roomId, userId))) {
+          // Say why, if the session ended because we were removed
+          const removal = getRemovalEvent(roomId, userId, cursor);
           return Response.json(
-            { error: "Missing roomId or userId" },
-            { status: 400 }
+            {
+              error: "Session not found",
+              code: "session-not-found",
+              events: removal ? [removal] : [],
+            },
+            { status: 404 }
           );
         }
 
-        if (rooms.has(roomId)) {
-          const room = rooms.get(roomId);
-          room.users = room.users.filter((user) => user.id !== userId);
-          if (room.users.length === 0) {
-            rooms.delete(roomId);
-          }
-        }
+        const {
+          events,
+          cursor: nextCursor,
+          reset,
+        } = getRoomEventsSince(roomId, cursor);
 
-        // Clean up session
-        for (const [id, session] of userSessions.entries()) {
-          if (session.userId === userId && session.roomId === roomId) {
-            userSessions.delete(id);
-            break;
-          }
-        }
+        // Users still in the lobby only get events addressed to them
+        const eventsRoom = await store.getRoom(roomId);
+        const inLobby = !eventsRoom?.users.some((user) => user.id === userId);
 
-        return Response.json({ success: true });
+        return Response.json({
+          events: events.filter(
+            (event) =>
+              isEventFor(event, userId) &&
+              (!inLobby || event.payload.targetUserId === userId)
+          ),
+          cursor: nextCursor,
+          reset,
+        });
+
+      case "leave-room":
+        return await leaveRoom(roomId, userId, sessionId);
 
       case "ping":
-        if (sessionId) {
-          const session = userSessions.get(sessionId);
-          if (session) {
-            session.lastSeen = Date.now();
-            return Response.json({ success: true });
-          }
-        }
-        return Response.json({ error: "Session not found" }, { status: 404 });
+        return await pingSession(sessionId);
 
       default:
         return Response.json({ error: "Invalid action" }, { status: 400 });
     }
   } catch (error) {
-    console.error("API Error:", error);
+    log.error("API request failed", { method: "GET", error });
     return Response.json({ error: "Internal server error" }, { status: 500 });
   }
-}
+};
+
+const handlePost = async (request, body) => {
+  const rejected = await rejectRequest("POST", request, body);
+  if (rejected) return rejected;
 
-export async function POST(request) {
   try {
-    const body = await request.json();
-    const { action, roomId, userId, sessionId, targetUserId } = body;
+    const {
+      action,
+      roomId,
+      userId,
+      sessionId,
+      targetUserId,
+      enabled,
+      state,
+      data,
+      password,
+      hostKey,
+      resumeToken,
+      lobby,
+      locked,
+      role,
+      maxParticipants,
+      clientId,
+    } = body;
+    const store = getStore();
 
     switch (action) {
-      case "toggle-audio":
-        if (!roomId || !userId) {
+      case "create-room":
+        if (!roomId) {
+          return Response.json({ error: "Missing roomId" }, { status: 400 });
+        }
+
+        if (await store.getRoom(roomId)) {
+          return roomExistsResponse();
+        }
+
+        // Only the creator gets the host key, so only they join as host
+        const newRoom = createRoomRecord(roomId, {
+          passwordHash: password ? await hashPassword(password) : null,
+          hostKey: randomBytes(16).toString("hex"),
+          lobbyEnabled: Boolean(lobby),
+          maxParticipants: maxParticipants || null,
+        });
+        // Someone may have created or joined it while the password hashed
+        const created = await store.updateRoom(roomId, (current) =>
+          current ? undefined : newRoom
+        );
+        if (!created) {
+          return roomExistsResponse();
+        }
+        notifyRoomCreated(newRoom);
+
+        return Response.json({
+          success: true,
+          room: toRoomInfo(newRoom),
+          hostKey: newRoom.hostKey,
+        });
+
+      case "join-room":
+        return await joinRoom({
+          roomId,
+          userId,
+          password,
+          hostKey,
+          sessionId,
+          resumeToken,
+          clientId,
+          state,
+        });
+
+      case "lock-room":
+        if (typeof locked !== "boolean") {
+          return Response.json({ error: "Missing locked" }, { status: 400 });
+        }
+
+        const lockAuth = await authorizeModerator({
+          roomId,
+          userId,
+          sessionId,
+        });
+        if (lockAuth.response) return lockAuth.response;
+
+        const lockedRoom = await store.updateRoom(roomId, (room) => {
+          if (!room) return;
+          room.locked = locked;
+          return room;
+        });
+        if (!lockedRoom) {
+          return Response.json({ error: "Room not found" }, { status: 404 });
+        }
+        publishRoomEvent(roomId, "room-locked", { userId, locked });
+
+        return Response.json({ success: true, room: toRoomInfo(lockedRoom) });
+
+      case "mute-user":
+      case "kick-user":
+      case "set-role":
+        if (!targetUserId) {
           return Response.json(
-            { error: "Missing roomId or userId" },
+            { error: "Missing targetUserId" },
             { status: 400 }
           );
         }
 
-        // Broadcast to other users in the room
-        if (rooms.has(roomId)) {
-          const room = rooms.get(roomId);
-          const otherUsers = room.users.filter((user) => user.id !== userId);
+        // Only the host hands out or takes away the co-host role
+        const targetAuth = await authorizeModerator(
+          { roomId, userId, sessionId },
+          { hostOnly: action === "set-role" }
+        );
+        if (targetAuth.response) return targetAuth.response;
 
-          // In a real implementation, you'd store this event and poll for it
-          // For now, we'll just return success
+        const { target, response: targetError } = findModerationTarget(
+          targetAuth.room,
+          targetAuth.moderator,
+          targetUserId
+        );
+        if (targetError) return targetError;
+
+        if (action === "mute-user") {
+          const mutedParticipant = await muteParticipant(
+            roomId,
+            userId,
+            target.id
+          );
           return Response.json({
             success: true,
-            event: "user-toggle-audio",
-            targetUserId: userId,
-            affectedUsers: otherUsers.map((u) => u.id),
+            participant: mutedParticipant,
           });
         }
 
-        return Response.json({ error: "Room not found" }, { status: 404 });
+        if (action === "kick-user") {
+          // Tell the removed user why before their session disappears
+          publishRoomEvent(roomId, "user-kicked", {
+            userId,
+            targetUserId: target.id,
+            reason: "removed",
+          });
+          await removeUserFromRoom(roomId, target.id, "removed");
+          return Response.json({ success: true });
+        }
+
+        if (!["co-host", "participant"].includes(role)) {
+          return Response.json({ error: "Invalid role" }, { status: 400 });
+        }
+
+        const promotedParticipant = await setParticipantRole(
+          roomId,
+          target.id,
+          role
+        );
+        publishRoomEvent(roomId, "role-changed", {
+          userId,
+          participant: promotedParticipant,
+        });
+        return Response.json({
+          success: true,
+          participant: promotedParticipant,
+        });
 
+      case "admit-user":
+      case "deny-user":
+        if (!targetUserId) {
+          return Response.json(
+            { error: "Missing targetUserId" },
+            { status: 400 }
+          );
+        }
+
+        const lobbyAuth = await authorizeModerator({
+          roomId,
+          userId,
+          sessionId,
+        });
+        if (lobbyAuth.response) return lobbyAuth.response;
+
+        let lobbyRoom = null;
+        let waitingUser = null;
+        let lobbyFull = false;
+        await store.updateRoom(roomId, (room) => {
+          lobbyRoom = room;
+          waitingUser = (room?.waiting || []).find(
+            (entry) => entry.id === targetUserId && !entry.admitted
+          );
+          // Admitting someone promises them a place in the call
+          lobbyFull =
+            Boolean(waitingUser) && action === "admit-user" && isRoomFull(room);
+          if (!waitingUser || lobbyFull) return;
+
+          // Admitted users keep their entry as a ticket for their next
+          // join-room; denied users lose their lobby session
+          if (action === "admit-user") {
+            waitingUser.admitted = true;
+          } else {
+            room.waiting = room.waiting.filter(
+              (entry) => entry !== waitingUser
+            );
+          }
+          return room;
+        });
+
+        if (!waitingUser) {
+          return Response.json(
+            { error: "User is not waiting in the lobby" },
+            { status: 404 }
+          );
+        }
+        if (lobbyFull) {
+          return roomFullResponse(lobbyRoom);
+        }
+
+        publishRoomEvent(
+          roomId,
+          action === "admit-user" ? "lobby-admitted" : "lobby-denied",
+          { userId, targetUserId }
+        );
+        if (action === "deny-user") {
+          await store.deleteSession(waitingUser.sessionId);
+        }
+        publishLobbyUpdate(lobbyRoom, userId);
+
+        return Response.json({
+          success: true,
+          waiting: getWaitingList(lobbyRoom),
+        });
+
+      case "mute-all":
+        const muteAuth = await authorizeModerator({
+          roomId,
+          userId,
+          sessionId,
+        });
+        if (muteAuth.response) return muteAuth.response;
+
+        // Hosts and co-hosts keep their mics
+        const mutedUsers = muteAuth.room.users
+          .filter((user) => !isModerator(user) && user.audioEnabled)
+          .map((user) => user.id);
+        for (const mutedUserId of mutedUsers) {
+          await muteParticipant(roomId, userId, mutedUserId);
+        }
+
+        return Response.json({ success: true, mutedUsers });
+
+      case "end-room":
+        const endAuth = await authorizeModerator(
+          { roomId, userId, sessionId },
+          { hostOnly: true }
+        );
+        if (endAuth.response) return endAuth.response;
+
+        publishRoomEvent(roomId, "room-ended", { userId, reason: "ended" });
+        await endRoom(roomId);
+        return Response.json({ success: true });
+
+      case "toggle-audio":
       case "toggle-video":
         if (!roomId || !userId) {
           return Response.json(
@@ -180,35 +889,108 @@ export async function POST(request) {
           );
         }
 
-        if (rooms.has(roomId)) {
-          const room = rooms.get(roomId);
-          const otherUsers = room.users.filter((user) => user.id !== userId);
+        if (!(await getRoomSession(sessionId, roomId, userId))) {
+          return Response.json({ error: "Session not found" }, { status: 404 });
+        }
+
+        const room = await store.getRoom(roomId);
+        if (room) {
+          const user = room.users.find((user) => user.id === userId);
+          if (!user) {
+            return Response.json(
+              { error: "User not in room" },
+              { status: 404 }
+            );
+          }
+
+          // Store the explicit state; clients that don't send one flip it
+          const field =
+            action === "toggle-audio" ? "audioEnabled" : "videoEnabled";
+          const participant = await updateParticipant(roomId, userId, {
+            [field]: typeof enabled === "boolean" ? enabled : !user[field],
+          });
+          const event = `user-${action}`;
+          publishRoomEvent(roomId, event, { userId, participant });
 
           return Response.json({
             success: true,
-            event: "user-toggle-video",
+            event,
             targetUserId: userId,
-            affectedUsers: otherUsers.map((u) => u.id),
+            participant,
+            affectedUsers: room.users
+              .filter((user) => user.id !== userId)
+              .map((u) => u.id),
           });
         }
 
         return Response.json({ error: "Room not found" }, { status: 404 });
 
-      case "ping":
-        if (sessionId) {
-          const session = userSessions.get(sessionId);
-          if (session) {
-            session.lastSeen = Date.now();
-            return Response.json({ success: true });
-          }
+      case "update-state":
+        if (!roomId || !userId || !state) {
+          return Response.json(
+            { error: "Missing roomId, userId or state" },
+            { status: 400 }
+          );
+        }
+
+        if (!(await getRoomSession(sessionId, roomId, userId))) {
+          return Response.json({ error: "Session not found" }, { status: 404 });
         }
-        return Response.json({ error: "Session not found" }, { status: 404 });
+
+        const updatedParticipant = await updateParticipant(
+          roomId,
+          userId,
+          state
+        );
+        if (!updatedParticipant) {
+          return Response.json({ error: "User not in room" }, { status: 404 });
+        }
+
+        publishRoomEvent(roomId, "participant-updated", {
+          userId,
+          participant: updatedParticipant,
+        });
+        return Response.json({
+          success: true,
+          participant: updatedParticipant,
+        });
+
+      case "signal":
+        if (!roomId || !userId || !targetUserId || !data) {
+          return Response.json(
+            { error: "Missing roomId, userId, targetUserId or data" },
+            { status: 400 }
+          );
+        }
+
+        // Only the sender's own session may speak for them
+        if (!(await getRoomSession(sessionId, roomId, userId))) {
+          return Response.json({ error: "Session not found" }, { status: 404 });
+        }
+
+        // Relay SDP offers/answers and ICE candidates between two peers
+        const signalRoom = await store.getRoom(roomId);
+        const inRoom = (id) => signalRoom?.users.some((user) => user.id === id);
+        if (!inRoom(userId) || !inRoom(targetUserId)) {
+          return Response.json({ error: "User not in room" }, { status: 404 });
+        }
+
+        publishRoomEvent(roomId, "signal", { userId, targetUserId, data });
+        return Response.json({ success: true });
+
+      // Beacons from closing tabs arrive as text/plain; request.json()
+      // reads them all the same
+      case "leave-room":
+        return await leaveRoom(roomId, userId, sessionId);
+
+      case "ping":
+        return await pingSession(sessionId);
 
       default:
         return Response.json({ error: "Invalid action" }, { status: 400 });
     }
   } catch (error) {
-    console.error("API Error:", error);
+    log.error("API request failed", { method: "POST", error });
     return Response.json({ error: "Internal server error" }, { status: 500 });
   }
-}
+};
@@ -0,0 +1,140 @@
+import {
+  subscribeToRoom,
+  getRoomEventsSince,
+  getRemovalEvent,
+  isEventFor,
+} from "@/lib/signaling/room-events";
+import { touchSession } from "@/lib/signaling/room-state";
+import { getStore } from "@/lib/signaling/storage";
+import { validateParams } from "@/lib/signaling/validation";
+import { rateLimitRequest } from "@/lib/signaling/rate-limit";
+import { serverConfig } from "@/lib/signaling/config";
+import { createLogger } from "@/lib/logger";
+
+const log = createLogger("signaling");
+
+// Streams must never be cached or statically rendered
+export const dynamic = "force-dynamic";
+
+// Server-Sent Events channel pushing room events to a joined session
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const roomId = searchParams.get("roomId");
+  const userId = searchParams.get("userId");
+  const sessionId = searchParams.get("sessionId");
+
+  const rejected =
+    validateParams(Object.fromEntries(searchParams), [
+      "roomId",
+      "userId",
+      "sessionId",
+    ]) || (await rateLimitRequest(request, { action: "stream", sessionId }));
+  if (rejected) return rejected;
+
+  const session = await touchSession(sessionId);
+  if (!session || session.roomId !== roomId || session.userId !== userId) {
+    return Response.json({ error: "Session not found" }, { status: 404 });
+  }
+
+  // Someone waiting in the lobby only hears about the host's decision
+  const room = await getStore().getRoom(roomId);
+  const inLobby = !room?.users.some((user) => user.id === userId);
+
+  // Browsers send Last-Event-ID when they reconnect on their own; the first
+  // connection passes the cursor it got from join-room
+  const cursor =
+    Number(request.headers.get("last-event-id")) ||
+    Number(searchParams.get("cursor")) ||
+    0;
+
+  const encoder = new TextEncoder();
+  let unsubscribe = null;
+  let heartbeat = null;
+
+  const cleanup = () => {
+    if (heartbeat) {
+      clearInterval(heartbeat);
+      heartbeat = null;
+    }
+    if (unsubscribe) {
+      unsubscribe();
+      unsubscribe = null;
+    }
+  };
+
+  const stream = new ReadableStream({
+    start(controller) {
+      const write = (chunk) => {
+        try {
+          controller.enqueue(encoder.encode(chunk));
+        } catch (error) {
+          // Stream already closed by the client
+          cleanup();
+        }
+      };
+
+      const send = (event, data, id) => {
+        const idLine = id ? `id: ${id}\n` : "";
+        write(`${idLine}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      };
+
+      const forward = (entry) => {
+        if (!isEventFor(entry, userId)) return;
+        if (inLobby && entry.payload.targetUserId !== userId) return;
+        send(entry.event, entry.payload, entry.id);
+      };
+
+      // Replay whatever was missed while disconnected, then go live
+      const missed = getRoomEventsSince(roomId, cursor);
+      if (missed.reset) {
+        send("resync", {});
+      }
+      missed.events.forEach(forward);
+      unsubscribe = subscribeToRoom(roomId, forward);
+
+      // An open stream keeps the session alive, so no separate ping is needed
+      heartbeat = setInterval(async () => {
+        try {
+          if (!(await touchSession(sessionId))) {
+            // A client removed from the room is told so again, in case the
+            // event itself never reached it, and doesn't try to rejoin
+            const removal = getRemovalEvent(roomId, userId, cursor);
+            if (removal) {
+              send(removal.event, removal.payload, removal.id);
+            }
+            send("session-expired", { sessionId });
+            cleanup();
+            controller.close();
+            return;
+          }
+          write(": heartbeat\n\n");
+        } catch (error) {
+          log.error("Stream heartbeat failed", { roomId, userId, error });
+        }
+      }, serverConfig.streamHeartbeatMs);
+
+      send("ready", { sessionId });
+
+      request.signal.addEventListener("abort", () => {
+        cleanup();
+        try {
+          controller.close();
+        } catch (error) {
+          // Already closed
+        }
+      });
+    },
+    cancel() {
+      cleanup();
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    },
+  });
+}
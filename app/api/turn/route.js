@@ -0,0 +1,40 @@
+import { getIceConfig } from "@/lib/signaling/ice-config";
+import { getRoomSession } from "@/lib/signaling/room-state";
+import { validateParams } from "@/lib/signaling/validation";
+import { rateLimitRequest } from "@/lib/signaling/rate-limit";
+import { createLogger } from "@/lib/logger";
+
+const log = createLogger("signaling");
+
+// Credentials are per request and short-lived
+export const dynamic = "force-dynamic";
+
+// Issue ICE servers (including temporary TURN credentials) to a peer that
+// has joined a room; TURN relays media for whoever holds them
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const roomId = searchParams.get("roomId");
+  const userId = searchParams.get("userId");
+  const sessionId = searchParams.get("sessionId");
+
+  const rejected =
+    validateParams(Object.fromEntries(searchParams), [
+      "roomId",
+      "userId",
+      "sessionId",
+    ]) || (await rateLimitRequest(request, { action: "turn", sessionId }));
+  if (rejected) return rejected;
+
+  try {
+    if (!(await getRoomSession(sessionId, roomId, userId))) {
+      return Response.json({ error: "Session not found" }, { status: 404 });
+    }
+
+    return Response.json(getIceConfig(userId), {
+      headers: { "Cache-Control": "no-store" },
+    });
+  } catch (error) {
+    log.error("TURN API request failed", error);
+    return Response.json({ error: "Internal server error" }, { status: 500 });
+  }
+}
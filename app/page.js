@@ -4,13 +4,49 @@ import { v4 as uuidv4 } from "uuid";
 import { useRouter } from "next/navigation";
 import { useState, useEffect } from "react";
 import { useSocket } from "@/store/socket";
+import { setRoomPassword, setHostKey } from "@/lib/room-access";
+import { getProfile, saveProfile } from "@/lib/profile";
+import ProfileForm from "@/components/ui/profile-form";
+import { createLogger } from "@/lib/logger";
+
+const log = createLogger("signaling");
+
+// Why we were sent back here from a room (see usePlayer's exitRoom)
+const LEAVE_REASONS = {
+  removed: "You were removed from the room by a host.",
+  ended: "The host ended the meeting.",
+  closed: "The meeting was closed by an administrator.",
+  replaced: "You joined this room again from another tab or window.",
+};
 
 export default function Home() {
   const router = useRouter();
   const [roomId, setRoomId] = useState("");
+  const [newRoomPassword, setNewRoomPassword] = useState("");
+  const [newRoomLobby, setNewRoomLobby] = useState(false);
+  const [newRoomCapacity, setNewRoomCapacity] = useState("");
+  const [isCreating, setIsCreating] = useState(false);
   const [connectionStatus, setConnectionStatus] = useState("Checking...");
+  const [leaveNotice, setLeaveNotice] = useState("");
+  const [profile, setProfile] = useState({
+    displayName: "",
+    avatarColor: "",
+    initials: "",
+  });
   const socket = useSocket();
 
+  useEffect(() => {
+    const reason = new URLSearchParams(window.location.search).get("reason");
+    setLeaveNotice(LEAVE_REASONS[reason] || "");
+    setProfile(getProfile());
+  }, []);
+
+  // Remembered as typed, so rooms joined from here (or a link) use it
+  const updateProfile = (next) => {
+    setProfile(next);
+    saveProfile(next);
+  };
+
   useEffect(() => {
     if (socket) {
       // Set initial status based on socket state
@@ -40,9 +76,33 @@ export default function Home() {
     }
   }, [socket]);
 
-  const createAndJoin = () => {
+  const createAndJoin = async () => {
+    if (!socket || isCreating) return;
+
     const roomId = uuidv4();
-    router.push(`/${roomId}`);
+    setIsCreating(true);
+    try {
+      const result = await socket.createRoom(roomId, {
+        password: newRoomPassword || undefined,
+        lobby: newRoomLobby,
+        maxParticipants: Number(newRoomCapacity) || undefined,
+      });
+      if (!result.success) {
+        alert(result.error || "Failed to create room");
+        return;
+      }
+
+      // Remember the password so the creator joins without a prompt, and
+      // the host key so they join as host
+      setRoomPassword(roomId, newRoomPassword);
+      setHostKey(roomId, result.hostKey);
+      router.push(`/${roomId}`);
+    } catch (error) {
+      log.error("Failed to create room", error);
+      alert("Failed to create room");
+    } finally {
+      setIsCreating(false);
+    }
   };
 
   const joinRoom = () => {
@@ -93,6 +153,21 @@ export default function Home() {
           </div>
         </div>
 
+        {/* Why the last room was left */}
+        {leaveNotice && (
+          <div className="mb-8 px-6 py-3 bg-yellow-500/10 backdrop-blur-lg border border-yellow-400/30 rounded-2xl text-yellow-200 text-sm shadow-lg">
+            {leaveNotice}
+          </div>
+        )}
+
+        {/* Name and avatar shown in rooms */}
+        <div className="w-full max-w-4xl mb-8 bg-white/10 backdrop-blur-lg border border-white/20 rounded-3xl p-6 shadow-2xl">
+          <h3 className="text-lg font-semibold text-white mb-4">
+            How others see you
+          </h3>
+          <ProfileForm profile={profile} onChange={updateProfile} />
+        </div>
+
         {/* Main action cards */}
         <div className="flex flex-col lg:flex-row gap-8 w-full max-w-4xl">
           {/* Join Room Card */}
@@ -183,11 +258,38 @@ export default function Home() {
                 </p>
                 <p className="text-gray-300 text-sm">📱 Multi-device support</p>
               </div>
+              <input
+                type="password"
+                className="w-full p-4 bg-white/5 border border-white/20 text-white rounded-2xl focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent placeholder-gray-400 backdrop-blur-sm transition-all"
+                placeholder="Room password (optional)"
+                value={newRoomPassword}
+                onChange={(e) => setNewRoomPassword(e?.target?.value)}
+                autoComplete="new-password"
+              />
+              <label className="flex items-center gap-3 px-1 text-sm text-gray-300 cursor-pointer">
+                <input
+                  type="checkbox"
+                  className="w-4 h-4 accent-green-500"
+                  checked={newRoomLobby}
+                  onChange={(e) => setNewRoomLobby(e.target.checked)}
+                />
+                Waiting room: admit people before they join
+              </label>
+              <input
+                type="number"
+                min={2}
+                max={50}
+                className="w-full p-4 bg-white/5 border border-white/20 text-white rounded-2xl focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent placeholder-gray-400 backdrop-blur-sm transition-all"
+                placeholder="Max participants (optional)"
+                value={newRoomCapacity}
+                onChange={(e) => setNewRoomCapacity(e?.target?.value)}
+              />
               <button
                 onClick={createAndJoin}
-                className="w-full bg-gradient-to-r from-green-500 to-emerald-500 text-white py-4 px-6 rounded-2xl hover:from-green-600 hover:to-emerald-600 transition-all duration-300 font-semibold text-lg shadow-lg hover:shadow-xl transform hover:scale-105"
+                disabled={!socket || isCreating}
+                className="w-full bg-gradient-to-r from-green-500 to-emerald-500 text-white py-4 px-6 rounded-2xl hover:from-green-600 hover:to-emerald-600 transition-all duration-300 font-semibold text-lg shadow-lg hover:shadow-xl transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed"
               >
-                Create New Room
+                {isCreating ? "Creating..." : "Create New Room"}
               </button>
             </div>
           </div>
@@ -0,0 +1,145 @@
+import { X, UserMinus, Power, Crown, Shield } from "lucide-react";
+
+// "3m 12s" style durations for session and room ages
+export const formatDuration = (ms) => {
+  if (ms === null || ms === undefined) return "—";
+  const seconds = Math.floor(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
+
+const ROLE_ICONS = { host: Crown, "co-host": Shield };
+
+const SessionCells = ({ session }) => (
+  <>
+    <td className="px-3 py-2 font-mono text-xs text-gray-400 truncate max-w-[12rem]">
+      {session?.id || "no session"}
+    </td>
+    <td className="px-3 py-2 text-gray-300">
+      {formatDuration(session?.ageMs)}
+    </td>
+    <td className="px-3 py-2 text-gray-300">
+      {formatDuration(session?.idleMs)}
+    </td>
+  </>
+);
+
+// Participants and lobby of one room, with the admin actions on them
+const AdminRoomDetail = ({ room, onClose, onCloseRoom, onEvictSession }) => (
+  <div className="bg-white/10 backdrop-blur-lg border border-white/20 rounded-3xl p-6 shadow-2xl">
+    {/* Header */}
+    <div className="flex items-start justify-between mb-4">
+      <div className="min-w-0">
+        <h2 className="text-white text-lg font-semibold truncate">
+          Room {room.id}
+        </h2>
+        <p className="text-gray-400 text-sm">
+          {room.participantCount}/{room.maxParticipants} participants · open for{" "}
+          {formatDuration(room.ageMs)}
+          {room.locked && " · locked"}
+          {room.hasPassword && " · password"}
+          {room.lobbyEnabled && " · waiting room"}
+        </p>
+      </div>
+      <div className="flex items-center space-x-2 flex-shrink-0">
+        <button
+          onClick={() => onCloseRoom(room.id)}
+          className="flex items-center space-x-1 px-3 py-1.5 rounded-xl bg-red-500/20 border border-red-400/30 text-red-300 text-sm hover:bg-red-500/40 transition-colors duration-200"
+        >
+          <Power size={14} />
+          <span>Force close</span>
+        </button>
+        <button
+          onClick={onClose}
+          className="p-1.5 rounded-full text-gray-400 hover:text-white hover:bg-white/10"
+          title="Close"
+        >
+          <X size={18} />
+        </button>
+      </div>
+    </div>
+
+    {/* Participants and lobby */}
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm text-left">
+        <thead className="text-gray-400 text-xs uppercase">
+          <tr>
+            <th className="px-3 py-2">User</th>
+            <th className="px-3 py-2">State</th>
+            <th className="px-3 py-2">Session</th>
+            <th className="px-3 py-2">Age</th>
+            <th className="px-3 py-2">Idle</th>
+            <th className="px-3 py-2"></th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-white/10">
+          {room.participants.map((participant) => {
+            const RoleIcon = ROLE_ICONS[participant.role];
+            return (
+              <tr key={participant.id}>
+                <td className="px-3 py-2 text-white">
+                  <div className="flex items-center space-x-1">
+                    {RoleIcon && (
+                      <RoleIcon size={14} className="text-yellow-300" />
+                    )}
+                    <span className="truncate">
+                      {participant.displayName || participant.id}
+                    </span>
+                  </div>
+                </td>
+                <td className="px-3 py-2 text-gray-300">
+                  {participant.audioEnabled ? "mic on" : "muted"}
+                  {participant.videoEnabled && ", camera"}
+                  {participant.screenSharing && ", sharing"}
+                </td>
+                <SessionCells session={participant.session} />
+                <td className="px-3 py-2 text-right">
+                  {participant.session && (
+                    <button
+                      onClick={() => onEvictSession(participant.session.id)}
+                      className="p-1.5 rounded-full bg-red-500/20 border border-red-400/30 text-red-300 hover:bg-red-500/40 transition-colors duration-200"
+                      title="Evict session"
+                    >
+                      <UserMinus size={14} />
+                    </button>
+                  )}
+                </td>
+              </tr>
+            );
+          })}
+          {room.waiting.map((entry) => (
+            <tr key={entry.id} className="text-gray-400">
+              <td className="px-3 py-2 truncate">
+                {entry.displayName || entry.id}
+              </td>
+              <td className="px-3 py-2">
+                {entry.admitted ? "admitted" : "in lobby"}
+              </td>
+              <SessionCells session={entry.session} />
+              <td className="px-3 py-2 text-right">
+                {entry.session && (
+                  <button
+                    onClick={() => onEvictSession(entry.session.id)}
+                    className="p-1.5 rounded-full bg-red-500/20 border border-red-400/30 text-red-300 hover:bg-red-500/40 transition-colors duration-200"
+                    title="Evict session"
+                  >
+                    <UserMinus size={14} />
+                  </button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {room.participants.length === 0 && room.waiting.length === 0 && (
+        <p className="text-gray-400 text-sm text-center py-4">
+          Nobody has joined yet.
+        </p>
+      )}
+    </div>
+  </div>
+);
+
+export default AdminRoomDetail;
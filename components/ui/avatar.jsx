@@ -0,0 +1,25 @@
+import { getAvatar } from "@/lib/profile";
+
+const SIZES = {
+  xs: "w-5 h-5 text-[10px]",
+  sm: "w-7 h-7 text-xs",
+  md: "w-10 h-10 text-sm",
+  lg: "w-20 h-20 text-2xl",
+};
+
+// Colored circle with someone's initials, for tiles without video, chat and
+// participant lists
+const Avatar = ({ person, id, size = "md", className = "" }) => {
+  const { color, initials } = getAvatar(person, id);
+
+  return (
+    <div
+      className={`${SIZES[size]} rounded-full flex items-center justify-center flex-shrink-0 text-white font-semibold shadow-lg select-none ${className}`}
+      style={{ backgroundColor: color }}
+    >
+      {initials}
+    </div>
+  );
+};
+
+export default Avatar;
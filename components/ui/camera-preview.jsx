@@ -0,0 +1,40 @@
+import { useEffect, useRef } from "react";
+import { VideoOff } from "lucide-react";
+
+// Mirrored preview of the stream's current camera track
+const CameraPreview = ({ stream, enabled = true, className = "" }) => {
+  const videoRef = useRef(null);
+  const videoTrack = stream?.getVideoTracks()[0];
+
+  useEffect(() => {
+    if (!videoRef.current) return;
+    // Just the camera, so the preview never plays our own mic back
+    videoRef.current.srcObject = videoTrack
+      ? new MediaStream([videoTrack])
+      : null;
+  }, [videoTrack]);
+
+  return (
+    <div
+      className={`relative aspect-video overflow-hidden rounded-2xl border border-white/20 bg-gradient-to-br from-slate-800 to-purple-900 ${className}`}
+    >
+      {videoTrack && (
+        <video
+          ref={videoRef}
+          autoPlay
+          muted
+          playsInline
+          className="w-full h-full object-cover -scale-x-100"
+        />
+      )}
+      {(!videoTrack || !enabled) && (
+        <div className="absolute inset-0 flex flex-col items-center justify-center bg-gradient-to-br from-slate-800 to-purple-900 text-gray-300 text-sm">
+          <VideoOff size={28} className="mb-2 text-purple-300" />
+          {videoTrack ? "Your camera is off" : "No camera found"}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CameraPreview;
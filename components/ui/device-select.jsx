@@ -0,0 +1,34 @@
+// Device names are hidden until media access is granted
+const getDeviceLabel = (device, index, label) =>
+  device.label || `${label} ${index + 1}`;
+
+// Labelled picker for one kind of media device
+const DeviceSelect = ({ Icon, label, devices, value, onChange, disabled }) => (
+  <label className="block">
+    <span className="flex items-center space-x-2 mb-2 text-gray-200 text-sm font-medium">
+      <Icon size={14} className="text-purple-300" />
+      <span>{label}</span>
+    </span>
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      disabled={disabled || devices.length === 0}
+      className="w-full p-3 bg-white/5 border border-white/20 text-white text-sm rounded-2xl focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent backdrop-blur-sm transition-all disabled:opacity-50"
+    >
+      {devices.length === 0 && (
+        <option value="">No {label.toLowerCase()} found</option>
+      )}
+      {devices.map((device, index) => (
+        <option
+          key={device.deviceId}
+          value={device.deviceId}
+          className="bg-slate-800"
+        >
+          {getDeviceLabel(device, index, label)}
+        </option>
+      ))}
+    </select>
+  </label>
+);
+
+export default DeviceSelect;
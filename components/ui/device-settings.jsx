@@ -0,0 +1,154 @@
+import { useState } from "react";
+import { Settings, X, Mic, Volume2, Video } from "lucide-react";
+
+import DeviceSelect from "@/components/ui/device-select";
+import MicLevelMeter from "@/components/ui/mic-level-meter";
+import CameraPreview from "@/components/ui/camera-preview";
+import { AudioDiagnostics } from "@/utils/audio-diagnostics";
+
+const SPEAKER_TEST_MESSAGES = {
+  playing: "Playing a test sound…",
+  done: "Did you hear a beep? If not, try another speaker.",
+  failed: "Couldn't play the test sound on this speaker.",
+};
+
+// Mic, speaker and camera choices for the call. Choices are remembered by
+// useMediaStream and asked for again on the next join.
+const DeviceSettings = ({
+  stream,
+  audioDevices,
+  videoDevices = [],
+  selectedAudioInput,
+  selectedAudioOutput,
+  selectedVideoInput,
+  onSwitchAudioInput,
+  onSwitchAudioOutput,
+  onSwitchVideoInput,
+  isAudioEnabled,
+  isVideoEnabled,
+  // Switching cameras mid-share would send the camera in place of the screen
+  isScreenSharing = false,
+  onClose,
+}) => {
+  const [speakerTest, setSpeakerTest] = useState(null);
+  const canPickSpeaker =
+    typeof HTMLMediaElement !== "undefined" &&
+    "setSinkId" in HTMLMediaElement.prototype;
+  const hasCamera = !!stream?.getVideoTracks().length;
+
+  const testSpeaker = async () => {
+    setSpeakerTest("playing");
+    const result = await new AudioDiagnostics().testSpeakerOutput(
+      selectedAudioOutput
+    );
+    setSpeakerTest(result.success ? "done" : "failed");
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-slate-900/70 backdrop-blur-sm flex items-center justify-center z-50"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white/10 backdrop-blur-xl border border-white/20 rounded-3xl p-6 max-w-lg w-full mx-4 max-h-[90vh] overflow-y-auto shadow-2xl"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div className="flex items-center justify-between mb-6">
+          <div className="flex items-center space-x-2">
+            <Settings size={18} className="text-purple-300" />
+            <h2 className="text-white text-lg font-semibold">Settings</h2>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-1 rounded-full text-gray-400 hover:text-white hover:bg-white/10"
+            title="Close"
+          >
+            <X size={18} />
+          </button>
+        </div>
+
+        <div className="space-y-6">
+          {/* Microphone */}
+          <div>
+            <DeviceSelect
+              Icon={Mic}
+              label="Microphone"
+              devices={audioDevices.inputs}
+              value={selectedAudioInput}
+              onChange={onSwitchAudioInput}
+            />
+            <MicLevelMeter
+              stream={stream}
+              muted={!isAudioEnabled}
+              className="mt-3"
+            />
+            {!isAudioEnabled && (
+              <p className="mt-2 text-gray-400 text-xs">
+                You&apos;re muted. Unmute to see your mic level.
+              </p>
+            )}
+          </div>
+
+          {/* Speaker */}
+          <div>
+            {canPickSpeaker ? (
+              <DeviceSelect
+                Icon={Volume2}
+                label="Speaker"
+                devices={audioDevices.outputs}
+                value={selectedAudioOutput}
+                onChange={onSwitchAudioOutput}
+              />
+            ) : (
+              <p className="flex items-center space-x-2 mb-2 text-gray-200 text-sm font-medium">
+                <Volume2 size={14} className="text-purple-300" />
+                <span>
+                  Speaker: this browser uses your system&apos;s output
+                </span>
+              </p>
+            )}
+            <div className="flex items-center space-x-3 mt-3">
+              <button
+                onClick={testSpeaker}
+                disabled={speakerTest === "playing"}
+                className="px-4 py-2 bg-gradient-to-r from-blue-500/20 to-purple-500/20 text-blue-300 text-sm border border-blue-400/30 rounded-2xl hover:from-blue-500/30 hover:to-purple-500/30 hover:border-blue-400/50 transition-all duration-200 disabled:opacity-50"
+              >
+                Test speaker
+              </button>
+              {speakerTest && (
+                <span className="text-gray-300 text-xs">
+                  {SPEAKER_TEST_MESSAGES[speakerTest]}
+                </span>
+              )}
+            </div>
+          </div>
+
+          {/* Camera */}
+          <div>
+            <DeviceSelect
+              Icon={Video}
+              label="Camera"
+              devices={videoDevices}
+              value={selectedVideoInput}
+              onChange={onSwitchVideoInput}
+              disabled={!hasCamera || isScreenSharing}
+            />
+            {isScreenSharing && (
+              <p className="mt-2 text-gray-400 text-xs">
+                Stop sharing your screen to switch cameras.
+              </p>
+            )}
+            <CameraPreview
+              stream={stream}
+              enabled={isVideoEnabled}
+              className="mt-3"
+            />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DeviceSettings;
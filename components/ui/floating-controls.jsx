@@ -1,12 +1,34 @@
-import { Mic, Video, PhoneOff, MicOff, VideoOff, Settings } from "lucide-react";
+import {
+  Mic,
+  Video,
+  PhoneOff,
+  MicOff,
+  VideoOff,
+  Settings,
+  VolumeX,
+  PowerOff,
+  FileDown,
+  ScreenShare,
+  ScreenShareOff,
+} from "lucide-react";
 
 const FloatingControls = ({
   muted,
   playing,
   toggleAudio,
-  // toggleVideo,
+  // Left out when there's no camera, which disables the button
+  toggleVideo,
+  // Left out where screen sharing isn't available, which hides the button
+  screenSharing,
+  toggleScreenShare,
   leaveRoom,
+  onOpenSettings,
   onTroubleshoot,
+  // Saves recent client logs for bug reports, when they are being kept
+  onDownloadLogs,
+  // Host controls, only passed to hosts and co-hosts
+  onMuteAll,
+  onEndRoom,
 }) => {
   return (
     <div className="fixed bottom-8 left-1/2 transform -translate-x-1/2 z-50">
@@ -27,17 +49,76 @@ const FloatingControls = ({
 
         {/* Video Control */}
         <button
-          // onClick={toggleVideo}
-          className={`p-3 rounded-2xl transition-all duration-200 shadow-lg ${
+          onClick={toggleVideo}
+          disabled={!toggleVideo}
+          className={`p-3 rounded-2xl transition-all duration-200 shadow-lg disabled:opacity-50 disabled:cursor-not-allowed ${
             !playing
-              ? "bg-gradient-to-r from-red-500 to-pink-500 hover:from-red-600 hover:to-pink-600 text-white transform hover:scale-105"
+              ? "bg-gradient-to-r from-red-500 to-pink-500 hover:from-red-600 hover:to-pink-600 text-white transform hover:scale-105 disabled:transform-none"
               : "bg-white/10 backdrop-blur-sm border border-white/20 hover:bg-white/20 text-gray-200 hover:text-white"
           }`}
-          title={!playing ? "Turn on camera" : "Turn off camera"}
+          title={
+            !toggleVideo
+              ? "No camera found"
+              : !playing
+                ? "Turn on camera"
+                : "Turn off camera"
+          }
         >
           {!playing ? <VideoOff size={18} /> : <Video size={18} />}
         </button>
 
+        {/* Screen Share */}
+        {toggleScreenShare && (
+          <button
+            onClick={toggleScreenShare}
+            className={`p-3 rounded-2xl transition-all duration-200 shadow-lg ${
+              screenSharing
+                ? "bg-gradient-to-r from-blue-500 to-purple-500 hover:from-blue-600 hover:to-purple-600 text-white transform hover:scale-105"
+                : "bg-white/10 backdrop-blur-sm border border-white/20 hover:bg-white/20 text-gray-200 hover:text-white"
+            }`}
+            title={screenSharing ? "Stop sharing" : "Share screen"}
+          >
+            {screenSharing ? (
+              <ScreenShareOff size={18} />
+            ) : (
+              <ScreenShare size={18} />
+            )}
+          </button>
+        )}
+
+        {/* Device Settings */}
+        {onOpenSettings && (
+          <button
+            onClick={onOpenSettings}
+            className="p-3 rounded-2xl transition-all duration-200 shadow-lg bg-white/10 backdrop-blur-sm border border-white/20 hover:bg-white/20 text-gray-200 hover:text-white"
+            title="Microphone, speaker and camera settings"
+          >
+            <Settings size={18} />
+          </button>
+        )}
+
+        {/* Mute Everyone */}
+        {onMuteAll && (
+          <button
+            onClick={onMuteAll}
+            className="p-3 rounded-2xl transition-all duration-200 shadow-lg bg-white/10 backdrop-blur-sm border border-white/20 hover:bg-white/20 text-gray-200 hover:text-white"
+            title="Mute everyone"
+          >
+            <VolumeX size={18} />
+          </button>
+        )}
+
+        {/* Download Logs */}
+        {onDownloadLogs && (
+          <button
+            onClick={onDownloadLogs}
+            className="p-3 rounded-2xl transition-all duration-200 shadow-lg bg-white/10 backdrop-blur-sm border border-white/20 hover:bg-white/20 text-gray-200 hover:text-white"
+            title="Download logs for a bug report"
+          >
+            <FileDown size={18} />
+          </button>
+        )}
+
         {/* Leave Call */}
         <button
           onClick={leaveRoom}
@@ -46,6 +127,21 @@ const FloatingControls = ({
         >
           <PhoneOff size={18} />
         </button>
+
+        {/* End Meeting */}
+        {onEndRoom && (
+          <button
+            onClick={() => {
+              if (confirm("End the meeting for everyone?")) {
+                onEndRoom();
+              }
+            }}
+            className="p-3 rounded-2xl transition-all duration-200 bg-gradient-to-r from-red-800 to-red-700 hover:from-red-900 hover:to-red-800 text-white shadow-lg transform hover:scale-105"
+            title="End meeting for everyone"
+          >
+            <PowerOff size={18} />
+          </button>
+        )}
       </div>
     </div>
   );
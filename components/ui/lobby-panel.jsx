@@ -0,0 +1,56 @@
+import { Hourglass, UserCheck, UserX } from "lucide-react";
+
+import Avatar from "@/components/ui/avatar";
+import { getDisplayName } from "@/lib/profile";
+
+// Shown to hosts and co-hosts while people wait in the lobby
+const LobbyPanel = ({ waiting = [], onAdmit, onDeny }) => {
+  if (waiting.length === 0) return null;
+
+  return (
+    <div className="fixed top-20 left-4 z-40 w-72 bg-white/10 backdrop-blur-lg border border-white/20 rounded-2xl shadow-2xl">
+      {/* Header */}
+      <div className="flex items-center space-x-2 px-4 py-3 border-b border-white/10">
+        <Hourglass size={16} className="text-yellow-300" />
+        <span className="text-white text-sm font-medium">
+          Waiting to join ({waiting.length})
+        </span>
+      </div>
+
+      {/* Waiting list */}
+      <ul className="max-h-64 overflow-y-auto p-2 space-y-1">
+        {waiting.map((entry) => (
+          <li
+            key={entry.id}
+            className="flex items-center justify-between px-2 py-2 rounded-xl hover:bg-white/5"
+          >
+            <div className="flex items-center space-x-2 min-w-0">
+              <Avatar person={entry} id={entry.id} size="sm" />
+              <span className="text-gray-200 text-sm truncate">
+                {getDisplayName(entry, entry.id)}
+              </span>
+            </div>
+            <div className="flex items-center space-x-1 flex-shrink-0">
+              <button
+                onClick={() => onAdmit?.(entry.id)}
+                className="p-1.5 rounded-full bg-green-500/20 border border-green-400/30 text-green-300 hover:bg-green-500/40 transition-colors duration-200"
+                title="Admit"
+              >
+                <UserCheck size={14} />
+              </button>
+              <button
+                onClick={() => onDeny?.(entry.id)}
+                className="p-1.5 rounded-full bg-red-500/20 border border-red-400/30 text-red-300 hover:bg-red-500/40 transition-colors duration-200"
+                title="Deny"
+              >
+                <UserX size={14} />
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default LobbyPanel;
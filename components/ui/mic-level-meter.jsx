@@ -0,0 +1,43 @@
+import { useEffect, useState } from "react";
+import { Mic, MicOff } from "lucide-react";
+
+import { createAudioLevelMonitor } from "@/utils/audio-diagnostics";
+
+// Live input level of the stream's current mic track
+const MicLevelMeter = ({ stream, muted = false, className = "" }) => {
+  const [level, setLevel] = useState(0);
+  const audioTrack = stream?.getAudioTracks()[0];
+
+  useEffect(() => {
+    if (!audioTrack) return;
+
+    // Measure just this track, so a replaced mic gets a fresh meter
+    const stopMonitor = createAudioLevelMonitor(
+      new MediaStream([audioTrack]),
+      setLevel
+    );
+    return () => {
+      stopMonitor?.();
+      setLevel(0);
+    };
+  }, [audioTrack]);
+
+  const Icon = muted ? MicOff : Mic;
+
+  return (
+    <div className={`flex items-center space-x-3 ${className}`}>
+      <Icon
+        size={16}
+        className={`flex-shrink-0 ${muted ? "text-red-300" : "text-gray-300"}`}
+      />
+      <div className="flex-1 h-2 bg-white/10 rounded-full overflow-hidden">
+        <div
+          className="h-full bg-gradient-to-r from-green-400 to-emerald-500 transition-[width] duration-75"
+          style={{ width: `${muted ? 0 : Math.round((level / 255) * 100)}%` }}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default MicLevelMeter;
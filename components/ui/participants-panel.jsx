@@ -0,0 +1,105 @@
+import { useState } from "react";
+import { Users, X, Crown, ShieldCheck, MicOff, Pencil } from "lucide-react";
+
+import Avatar from "@/components/ui/avatar";
+import ProfileForm from "@/components/ui/profile-form";
+import { getDisplayName } from "@/lib/profile";
+
+const ROLE_ICONS = { host: Crown, "co-host": ShieldCheck };
+
+// Everyone in the room, with our own profile editable in place
+const ParticipantsPanel = ({
+  participants = [],
+  myId,
+  profile,
+  onSaveProfile,
+  onClose,
+}) => {
+  const [draft, setDraft] = useState(null);
+
+  const saveDraft = (e) => {
+    e.preventDefault();
+    onSaveProfile?.(draft);
+    setDraft(null);
+  };
+
+  return (
+    <div className="fixed top-20 right-4 z-40 w-80 bg-white/10 backdrop-blur-lg border border-white/20 rounded-2xl shadow-2xl">
+      {/* Header */}
+      <div className="flex items-center justify-between px-4 py-3 border-b border-white/10">
+        <div className="flex items-center space-x-2">
+          <Users size={16} className="text-purple-300" />
+          <span className="text-white text-sm font-medium">
+            Participants ({participants.length})
+          </span>
+        </div>
+        <button
+          onClick={onClose}
+          className="p-1 rounded-full text-gray-400 hover:text-white hover:bg-white/10"
+          title="Close"
+        >
+          <X size={16} />
+        </button>
+      </div>
+
+      {/* Our own profile */}
+      {draft && (
+        <form onSubmit={saveDraft} className="p-4 border-b border-white/10">
+          <ProfileForm profile={draft} onChange={setDraft} id={myId} />
+          <div className="flex justify-end space-x-2 mt-3">
+            <button
+              type="button"
+              onClick={() => setDraft(null)}
+              className="px-3 py-1.5 rounded-xl text-gray-300 text-sm hover:bg-white/10"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="px-3 py-1.5 rounded-xl bg-gradient-to-r from-blue-500 to-purple-500 text-white text-sm hover:from-blue-600 hover:to-purple-600"
+            >
+              Save
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Participant list */}
+      <ul className="max-h-80 overflow-y-auto p-2 space-y-1">
+        {participants.map((participant) => {
+          const isMe = participant.id === myId;
+          const RoleIcon = ROLE_ICONS[participant.role];
+          return (
+            <li
+              key={participant.id}
+              className="flex items-center space-x-3 px-2 py-2 rounded-xl hover:bg-white/5"
+            >
+              <Avatar person={participant} id={participant.id} size="sm" />
+              <span className="flex-1 min-w-0 text-gray-200 text-sm truncate">
+                {getDisplayName(participant, participant.id)}
+                {isMe && <span className="text-gray-400"> (You)</span>}
+              </span>
+              {RoleIcon && (
+                <RoleIcon size={14} className="text-yellow-300 flex-shrink-0" />
+              )}
+              {participant.audioEnabled === false && (
+                <MicOff size={14} className="text-red-300 flex-shrink-0" />
+              )}
+              {isMe && onSaveProfile && !draft && (
+                <button
+                  onClick={() => setDraft(profile)}
+                  className="p-1 rounded-full text-gray-400 hover:text-white hover:bg-white/10 flex-shrink-0"
+                  title="Edit your name and avatar"
+                >
+                  <Pencil size={14} />
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default ParticipantsPanel;
@@ -0,0 +1,143 @@
+import { useState } from "react";
+import { Mic, MicOff, Video, VideoOff, Home } from "lucide-react";
+
+import CameraPreview from "@/components/ui/camera-preview";
+import MicLevelMeter from "@/components/ui/mic-level-meter";
+import DeviceSelect from "@/components/ui/device-select";
+import { MAX_DISPLAY_NAME_LENGTH } from "@/lib/profile";
+
+// Check camera, mic and name before joining. Muting or turning the camera
+// off here acts on the stream itself, so we join the way we left it.
+const PreJoinScreen = ({
+  roomId,
+  stream,
+  profile,
+  isAudioEnabled,
+  isVideoEnabled,
+  onToggleAudio,
+  onToggleVideo,
+  audioDevices,
+  videoDevices = [],
+  selectedAudioInput,
+  selectedVideoInput,
+  onSwitchAudioInput,
+  onSwitchVideoInput,
+  onJoin,
+  onLeave,
+}) => {
+  const [displayName, setDisplayName] = useState(profile.displayName);
+  const hasCamera = !!stream?.getVideoTracks().length;
+
+  const handleJoin = (e) => {
+    e.preventDefault();
+    onJoin?.(displayName);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gradient-to-br from-slate-900 via-purple-900 to-slate-900 flex items-center justify-center z-50 overflow-y-auto">
+      <form
+        onSubmit={handleJoin}
+        className="bg-white/10 backdrop-blur-xl border border-white/20 rounded-3xl p-6 max-w-4xl w-full m-4 shadow-2xl grid gap-6 md:grid-cols-2"
+      >
+        {/* Preview */}
+        <div>
+          <CameraPreview stream={stream} enabled={isVideoEnabled} />
+          <div className="flex justify-center space-x-3 mt-4">
+            <button
+              type="button"
+              onClick={onToggleAudio}
+              className={`p-3 rounded-2xl transition-all duration-200 shadow-lg ${
+                !isAudioEnabled
+                  ? "bg-gradient-to-r from-red-500 to-pink-500 hover:from-red-600 hover:to-pink-600 text-white"
+                  : "bg-white/10 border border-white/20 hover:bg-white/20 text-gray-200 hover:text-white"
+              }`}
+              title={!isAudioEnabled ? "Unmute microphone" : "Mute microphone"}
+            >
+              {!isAudioEnabled ? <MicOff size={18} /> : <Mic size={18} />}
+            </button>
+            <button
+              type="button"
+              onClick={onToggleVideo}
+              disabled={!hasCamera}
+              className={`p-3 rounded-2xl transition-all duration-200 shadow-lg disabled:opacity-50 disabled:cursor-not-allowed ${
+                !isVideoEnabled
+                  ? "bg-gradient-to-r from-red-500 to-pink-500 hover:from-red-600 hover:to-pink-600 text-white"
+                  : "bg-white/10 border border-white/20 hover:bg-white/20 text-gray-200 hover:text-white"
+              }`}
+              title={
+                !hasCamera
+                  ? "No camera found"
+                  : !isVideoEnabled
+                    ? "Turn on camera"
+                    : "Turn off camera"
+              }
+            >
+              {!isVideoEnabled ? <VideoOff size={18} /> : <Video size={18} />}
+            </button>
+          </div>
+        </div>
+
+        {/* Name and devices */}
+        <div className="flex flex-col space-y-5">
+          <div>
+            <h2 className="text-white text-xl font-semibold">Ready to join?</h2>
+            <p className="text-gray-300 text-sm mt-1 truncate">
+              Room <span className="font-mono">{roomId}</span>
+            </p>
+          </div>
+
+          <input
+            className="w-full p-3 bg-white/5 border border-white/20 text-white rounded-2xl focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent placeholder-gray-400 backdrop-blur-sm transition-all"
+            placeholder="Your name"
+            maxLength={MAX_DISPLAY_NAME_LENGTH}
+            value={displayName}
+            onChange={(e) => setDisplayName(e.target.value)}
+          />
+
+          <div>
+            <DeviceSelect
+              Icon={Mic}
+              label="Microphone"
+              devices={audioDevices.inputs}
+              value={selectedAudioInput}
+              onChange={onSwitchAudioInput}
+            />
+            <MicLevelMeter
+              stream={stream}
+              muted={!isAudioEnabled}
+              className="mt-3"
+            />
+          </div>
+
+          <DeviceSelect
+            Icon={Video}
+            label="Camera"
+            devices={videoDevices}
+            value={selectedVideoInput}
+            onChange={onSwitchVideoInput}
+            disabled={!hasCamera}
+          />
+
+          <div className="flex space-x-3 pt-2 mt-auto">
+            <button
+              type="button"
+              onClick={onLeave}
+              className="flex items-center justify-center space-x-2 px-4 py-3 text-gray-300 border border-white/20 rounded-2xl hover:bg-white/10 hover:text-white transition-all duration-200"
+            >
+              <Home size={16} />
+              <span>Back</span>
+            </button>
+            <button
+              type="submit"
+              className="flex-1 px-6 py-3 bg-gradient-to-r from-blue-500 to-purple-500 text-white font-medium rounded-2xl hover:from-blue-600 hover:to-purple-600 transition-all duration-200 shadow-lg"
+            >
+              Join now
+            </button>
+          </div>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default PreJoinScreen;
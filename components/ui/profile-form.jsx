@@ -0,0 +1,61 @@
+import { Check } from "lucide-react";
+
+import Avatar from "@/components/ui/avatar";
+import { AVATAR_COLORS, MAX_DISPLAY_NAME_LENGTH } from "@/lib/profile";
+
+// Display name, avatar color and initials, as shown to everyone in the room.
+// `profile` is edited as typed; callers normalize it when saving.
+const ProfileForm = ({ profile, onChange, id = "" }) => {
+  const update = (changes) => onChange({ ...profile, ...changes });
+
+  return (
+    <div className="flex items-center gap-4">
+      <Avatar person={profile} id={id} size="lg" />
+
+      <div className="flex-1 min-w-0 space-y-3">
+        <div className="flex gap-2">
+          <input
+            className="flex-1 min-w-0 p-3 bg-white/5 border border-white/20 text-white rounded-2xl focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent placeholder-gray-400 backdrop-blur-sm transition-all"
+            placeholder="Your name"
+            maxLength={MAX_DISPLAY_NAME_LENGTH}
+            value={profile.displayName}
+            onChange={(e) => update({ displayName: e.target.value })}
+          />
+          <input
+            className="w-16 p-3 bg-white/5 border border-white/20 text-white text-center uppercase rounded-2xl focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent placeholder-gray-400 backdrop-blur-sm transition-all"
+            placeholder="AB"
+            title="Initials (optional)"
+            maxLength={2}
+            value={profile.initials}
+            onChange={(e) => update({ initials: e.target.value })}
+          />
+        </div>
+
+        <div className="flex flex-wrap gap-2">
+          {AVATAR_COLORS.map((color) => (
+            <button
+              key={color}
+              type="button"
+              onClick={() =>
+                update({
+                  avatarColor: profile.avatarColor === color ? "" : color,
+                })
+              }
+              className="w-6 h-6 rounded-full flex items-center justify-center border border-white/30 hover:scale-110 transition-transform duration-200"
+              style={{ backgroundColor: color }}
+              title={
+                profile.avatarColor === color ? "Use default color" : color
+              }
+            >
+              {profile.avatarColor === color && (
+                <Check size={14} className="text-white" />
+              )}
+            </button>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProfileForm;
@@ -0,0 +1,122 @@
+import { useState } from "react";
+import { Lock, KeyRound, Home, Hourglass, DoorClosed } from "lucide-react";
+
+// Join errors this prompt knows how to explain
+export const ROOM_ACCESS_ERRORS = [
+  "password-required",
+  "invalid-password",
+  "room-locked",
+];
+
+const PROMPTS = {
+  "password-required": {
+    Icon: KeyRound,
+    title: "This room is password protected",
+    message: "Enter the room password to join the call.",
+  },
+  "invalid-password": {
+    Icon: KeyRound,
+    title: "This room is password protected",
+    message: "Enter the room password to join the call.",
+  },
+  "room-locked": {
+    Icon: Lock,
+    title: "This room is locked",
+    message:
+      "The meeting is in progress and the room is not accepting new participants. Ask someone in the room to unlock it.",
+  },
+  waiting: {
+    Icon: Hourglass,
+    title: "Waiting to be let in",
+    message:
+      "The host knows you're here. You'll join the call as soon as they admit you.",
+  },
+  "lobby-denied": {
+    Icon: DoorClosed,
+    title: "You weren't let in",
+    message: "The host declined your request to join this room.",
+  },
+};
+
+const RoomAccessPrompt = ({ reason, onSubmitPassword, onRetry, onLeave }) => {
+  const [password, setPassword] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const { Icon, title, message } = PROMPTS[reason] || PROMPTS["room-locked"];
+  const needsPassword =
+    reason === "password-required" || reason === "invalid-password";
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!password || isSubmitting) return;
+
+    setIsSubmitting(true);
+    await onSubmitPassword?.(password);
+    setIsSubmitting(false);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gradient-to-br from-slate-900/95 via-purple-900/95 to-slate-900/95 backdrop-blur-sm flex items-center justify-center z-50">
+      <div className="bg-white/10 backdrop-blur-xl border border-white/20 rounded-3xl p-8 max-w-md w-full mx-4 text-center shadow-2xl relative z-10">
+        {/* Icon */}
+        <div className="w-20 h-20 bg-gradient-to-r from-purple-500/30 to-blue-500/30 rounded-full flex items-center justify-center mx-auto mb-6 backdrop-blur-sm border border-purple-400/20 shadow-lg">
+          <Icon
+            size={32}
+            className={`text-purple-300 ${
+              reason === "waiting" ? "animate-pulse" : ""
+            }`}
+          />
+        </div>
+
+        {/* Title */}
+        <h2 className="text-white text-xl font-semibold mb-3">{title}</h2>
+
+        {/* Message */}
+        <p className="text-gray-200 text-sm leading-relaxed mb-6">{message}</p>
+
+        {reason === "room-locked" && (
+          <button
+            onClick={onRetry}
+            className="w-full px-6 py-3 bg-gradient-to-r from-blue-500/20 to-purple-500/20 text-blue-300 border border-blue-400/30 rounded-2xl hover:from-blue-500/30 hover:to-purple-500/30 hover:border-blue-400/50 transition-all duration-200 backdrop-blur-sm shadow-lg"
+          >
+            Try Again
+          </button>
+        )}
+
+        {needsPassword && (
+          <form onSubmit={handleSubmit} className="space-y-3">
+            <input
+              type="password"
+              autoFocus
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="Room password"
+              className="w-full p-3 bg-white/5 border border-white/20 text-white rounded-2xl focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent placeholder-gray-400 backdrop-blur-sm transition-all"
+            />
+            {reason === "invalid-password" && (
+              <p className="text-red-300 text-xs">
+                Incorrect password, please try again.
+              </p>
+            )}
+            <button
+              type="submit"
+              disabled={!password || isSubmitting}
+              className="w-full px-6 py-3 bg-gradient-to-r from-blue-500 to-purple-500 text-white rounded-2xl hover:from-blue-600 hover:to-purple-600 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 shadow-lg"
+            >
+              {isSubmitting ? "Joining..." : "Join Room"}
+            </button>
+          </form>
+        )}
+
+        <button
+          onClick={onLeave}
+          className="w-full mt-3 flex items-center justify-center space-x-2 px-6 py-3 bg-white/10 text-gray-200 border border-white/20 rounded-2xl hover:bg-white/20 hover:border-white/30 transition-all duration-200 backdrop-blur-sm shadow-lg"
+        >
+          <Home size={18} />
+          <span>{reason === "waiting" ? "Leave" : "Back to Home"}</span>
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default RoomAccessPrompt;
@@ -0,0 +1,62 @@
+import { useState } from "react";
+import { Users, Home, RefreshCw } from "lucide-react";
+
+// Shown instead of the call when join-room answers room-full
+const RoomFullScreen = ({ maxParticipants, onRetry, onLeave }) => {
+  const [isRetrying, setIsRetrying] = useState(false);
+
+  const handleRetry = async () => {
+    setIsRetrying(true);
+    await onRetry?.();
+    // The retry either gets us in (and unmounts this screen) or answers
+    // room-full again; give it a moment before allowing another one
+    setTimeout(() => setIsRetrying(false), 2000);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gradient-to-br from-slate-900/95 via-purple-900/95 to-slate-900/95 backdrop-blur-sm flex items-center justify-center z-50">
+      <div className="bg-white/10 backdrop-blur-xl border border-white/20 rounded-3xl p-8 max-w-md w-full mx-4 text-center shadow-2xl relative z-10">
+        {/* Icon */}
+        <div className="w-20 h-20 bg-gradient-to-r from-orange-500/30 to-red-500/30 rounded-full flex items-center justify-center mx-auto mb-6 backdrop-blur-sm border border-orange-400/20 shadow-lg">
+          <Users size={32} className="text-orange-300" />
+        </div>
+
+        {/* Title */}
+        <h2 className="text-white text-xl font-semibold mb-3">
+          This room is full
+        </h2>
+
+        {/* Message */}
+        <p className="text-gray-200 text-sm leading-relaxed mb-2">
+          {maxParticipants
+            ? `All ${maxParticipants} places in this call are taken.`
+            : "All places in this call are taken."}
+        </p>
+        <p className="text-gray-400 text-xs leading-relaxed mb-6">
+          Everyone in a call connects to everyone else directly, so rooms are
+          kept small to keep audio and video clear. You can try again once
+          someone leaves.
+        </p>
+
+        <button
+          onClick={handleRetry}
+          disabled={isRetrying}
+          className="w-full flex items-center justify-center space-x-2 px-6 py-3 bg-gradient-to-r from-blue-500/20 to-purple-500/20 text-blue-300 border border-blue-400/30 rounded-2xl hover:from-blue-500/30 hover:to-purple-500/30 hover:border-blue-400/50 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 backdrop-blur-sm shadow-lg"
+        >
+          <RefreshCw size={18} className={isRetrying ? "animate-spin" : ""} />
+          <span>{isRetrying ? "Checking..." : "Try Again"}</span>
+        </button>
+
+        <button
+          onClick={onLeave}
+          className="w-full mt-3 flex items-center justify-center space-x-2 px-6 py-3 bg-white/10 text-gray-200 border border-white/20 rounded-2xl hover:bg-white/20 hover:border-white/30 transition-all duration-200 backdrop-blur-sm shadow-lg"
+        >
+          <Home size={18} />
+          <span>Back to Home</span>
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default RoomFullScreen;
@@ -1,5 +1,16 @@
 import { useState, useEffect } from "react";
-import { Maximize2, Minimize2, Users, Share2 } from "lucide-react";
+import {
+  Maximize2,
+  Minimize2,
+  Users,
+  Share2,
+  Lock,
+  Unlock,
+} from "lucide-react";
+
+import { createLogger } from "@/lib/logger";
+
+const log = createLogger("ui");
 
 const SimpleCallLayout = ({
   children,
@@ -8,6 +19,9 @@ const SimpleCallLayout = ({
   isFullscreen = false,
   onToggleFullscreen,
   onShare,
+  isLocked = false,
+  onToggleLock,
+  onToggleParticipants,
   className = "",
 }) => {
   useEffect(() => {
@@ -40,7 +54,7 @@ const SimpleCallLayout = ({
           url: window.location.href,
         });
       } catch (err) {
-        console.log("Error sharing:", err);
+        log.debug("Share sheet failed, copying the link instead", err);
         // Fallback to copy to clipboard
         if (navigator.clipboard) {
           navigator.clipboard.writeText(window.location.href);
@@ -80,16 +94,35 @@ const SimpleCallLayout = ({
                 <span className="text-white font-medium text-sm">
                   Room: {roomId?.slice(0, 8)}...
                 </span>
-                <div className="flex items-center space-x-1 text-gray-200">
+                <button
+                  onClick={onToggleParticipants}
+                  disabled={!onToggleParticipants}
+                  className="flex items-center space-x-1 text-gray-200 enabled:hover:text-white"
+                  title="Participants"
+                >
                   <Users size={14} />
                   <span className="text-xs">{participants.length}</span>
-                </div>
+                </button>
               </div>
             </div>
           </div>
 
-          {/* Share Button and Fullscreen Toggle */}
+          {/* Lock, Share and Fullscreen Toggle */}
           <div className="flex items-center space-x-2">
+            {onToggleLock && (
+              <button
+                onClick={onToggleLock}
+                className={`p-2 backdrop-blur-lg border rounded-2xl transition-all duration-200 shadow-lg ${
+                  isLocked
+                    ? "bg-yellow-500/20 border-yellow-400/30 text-yellow-300 hover:bg-yellow-500/30"
+                    : "bg-white/10 border-white/20 text-gray-200 hover:text-white hover:bg-white/20"
+                }`}
+                title={isLocked ? "Unlock room" : "Lock room"}
+              >
+                {isLocked ? <Lock size={16} /> : <Unlock size={16} />}
+              </button>
+            )}
+
             <button
               onClick={handleShare}
               className="p-2 bg-white/10 backdrop-blur-lg border border-white/20 rounded-2xl text-gray-200 hover:text-white hover:bg-white/20 transition-all duration-200 shadow-lg"
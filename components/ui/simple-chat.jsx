@@ -1,6 +1,8 @@
 import { useState, useRef, useEffect } from "react";
 import { Send, MessageCircle, X, Users } from "lucide-react";
 
+import Avatar from "@/components/ui/avatar";
+
 const SimpleChat = ({
   messages = [],
   onSendMessage,
@@ -145,8 +147,17 @@ const SimpleChat = ({
                     }`}
                   >
                     {!message.isOwn && (
-                      <div className="text-xs text-purple-300 mb-1 font-medium">
-                        {message.senderName}
+                      <div className="flex items-center space-x-1.5 text-xs text-purple-300 mb-1 font-medium">
+                        <Avatar
+                          person={{
+                            displayName: message.senderName,
+                            avatarColor: message.senderColor,
+                            initials: message.senderInitials,
+                          }}
+                          id={message.senderId}
+                          size="xs"
+                        />
+                        <span className="truncate">{message.senderName}</span>
                       </div>
                     )}
                     <div className="break-words">{message.text}</div>
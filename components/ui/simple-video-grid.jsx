@@ -1,22 +1,42 @@
 import ReactPlayer from "react-player";
-import { Mic, MicOff, UserSquare2 } from "lucide-react";
+import {
+  Mic,
+  MicOff,
+  UserSquare2,
+  Crown,
+  ShieldCheck,
+  ShieldOff,
+  UserX,
+  ScreenShare,
+} from "lucide-react";
 import { memo } from "react";
 
+import Avatar from "@/components/ui/avatar";
+import { getDisplayName } from "@/lib/profile";
+import { createLogger } from "@/lib/logger";
+
+const log = createLogger("media");
+
 const SimpleVideoGrid = ({
   players,
   highlightedPlayerId,
   onPlayerClick,
   myId,
+  // Whoever is sharing their screen, and our own share when it's us
+  presenterId,
+  screenStream,
   className = "",
   isAudioEnabled,
   selectedAudioOutput,
+  myRole = "participant",
+  onMuteParticipant,
+  onRemoveParticipant,
+  onSetParticipantRole,
 }) => {
   const playerEntries = Object.entries(players || {});
   const highlightedPlayer = highlightedPlayerId
     ? players[highlightedPlayerId]
     : null;
-  console.log("highlightedPlayerId svg", highlightedPlayerId);
-  console.log("highlightedPlayer  svg", highlightedPlayer);
 
   const otherPlayers = playerEntries.filter(
     ([id]) => id !== highlightedPlayerId,
@@ -31,7 +51,14 @@ const SimpleVideoGrid = ({
   };
 
   // Calculate optimal video sizes based on participant count
-  const getVideoSize = (count, isHighlighted = false) => {
+  const getVideoSize = (count, isHighlighted = false, isFilmstrip = false) => {
+    if (isFilmstrip) {
+      return {
+        minHeight: "110px",
+        maxHeight: "18vh",
+      };
+    }
+
     if (isHighlighted) {
       return {
         minHeight: "400px",
@@ -63,17 +90,40 @@ const SimpleVideoGrid = ({
     }
   };
 
+  const isHost = myRole === "host";
+  const canModerate = isHost || myRole === "co-host";
+
+  const roleBadges = {
+    host: { label: "Host", Icon: Crown },
+    "co-host": { label: "Co-host", Icon: ShieldCheck },
+  };
+
   // Memoized PlayerCard component for stability during dynamic changes
   const PlayerCard = memo(
     ({
       playerId,
       player,
       isHighlighted = false,
+      isPresentation = false,
+      isFilmstrip = false,
       totalCount = 1,
       isAudioEnabled,
     }) => {
       const isMe = playerId === myId;
-      const videoSize = getVideoSize(totalCount, isHighlighted);
+      const videoSize = getVideoSize(totalCount, isHighlighted, isFilmstrip);
+      const role = isMe ? myRole : player.role;
+      const roleBadge = roleBadges[role];
+      // Co-hosts can moderate everyone except the host
+      const showModeration =
+        !isMe && canModerate && (isHost || role !== "host");
+      // Remote players stay playing so their audio keeps coming through;
+      // while their camera is off the avatar covers the video, unless they
+      // are sending their screen instead
+      const showVideo =
+        player.playing &&
+        (isPresentation ||
+          player.screenSharing ||
+          (player.videoEnabled ?? true));
 
       return (
         <div
@@ -89,7 +139,7 @@ const SimpleVideoGrid = ({
                 ? "rounded-2xl border-2 border-gradient-to-r from-red-400 via-purple-400 to-blue-400 shadow-2xl bg-white/10"
                 : "rounded-2xl border border-white/20 bg-white/5 hover:border-white/30 hover:bg-white/10"
             } ${
-              !player.playing
+              !showVideo
                 ? "bg-gradient-to-br from-slate-800 to-purple-900"
                 : "bg-black"
             }`}
@@ -100,7 +150,7 @@ const SimpleVideoGrid = ({
               height: "100%",
             }}
           >
-            {player.playing ? (
+            {player.playing && (
               <ReactPlayer
                 url={player.url}
                 muted={player.muted}
@@ -108,6 +158,12 @@ const SimpleVideoGrid = ({
                 width="100%"
                 height="100%"
                 className="object-cover"
+                // Our own camera is mirrored, the way people expect to see themselves
+                style={
+                  isMe && !isPresentation
+                    ? { transform: "scaleX(-1)" }
+                    : undefined
+                }
                 onReady={(player) => {
                   // Set audio output device when player is ready
                   if (
@@ -119,18 +175,18 @@ const SimpleVideoGrid = ({
                       videoElement
                         .setSinkId(selectedAudioOutput)
                         .catch((err) => {
-                          console.warn(
-                            "Failed to set audio output device:",
-                            err,
-                          );
+                          log.warn("Failed to set audio output device", err);
                         });
                     }
                   }
                 }}
               />
-            ) : (
+            )}
+            {!showVideo && (
               <div
-                className="relative overflow-hidden flex items-center justify-center bg-gradient-to-br from-slate-800 to-purple-900 backdrop-blur-sm"
+                className={`${
+                  player.playing ? "absolute inset-0" : "relative"
+                } overflow-hidden flex items-center justify-center bg-gradient-to-br from-slate-800 to-purple-900 backdrop-blur-sm`}
                 style={{
                   minHeight: videoSize.minHeight,
                   maxHeight: videoSize.maxHeight,
@@ -138,12 +194,56 @@ const SimpleVideoGrid = ({
                   height: "100%",
                 }}
               >
-                <UserSquare2
-                  size={20}
-                  width="180%"
-                  height="100%"
-                  className="object-cover text-purple-300 px-32 py-16"
-                />
+                <Avatar person={player} id={playerId} size="lg" />
+              </div>
+            )}
+
+            {/* Moderation Controls */}
+            {showModeration && (
+              <div
+                className="absolute top-3 right-3 flex items-center space-x-1"
+                onClick={(e) => e.stopPropagation()}
+              >
+                {(player.audioEnabled ?? !player.muted) && (
+                  <button
+                    onClick={() => onMuteParticipant?.(playerId)}
+                    className="p-1.5 rounded-full bg-black/40 backdrop-blur-sm border border-white/20 text-gray-200 hover:text-white hover:bg-red-500/80 transition-colors duration-200"
+                    title="Mute participant"
+                  >
+                    <MicOff size={12} />
+                  </button>
+                )}
+                {isHost && (
+                  <button
+                    onClick={() =>
+                      onSetParticipantRole?.(
+                        playerId,
+                        role === "co-host" ? "participant" : "co-host",
+                      )
+                    }
+                    className="p-1.5 rounded-full bg-black/40 backdrop-blur-sm border border-white/20 text-gray-200 hover:text-white hover:bg-purple-500/80 transition-colors duration-200"
+                    title={
+                      role === "co-host" ? "Remove co-host" : "Make co-host"
+                    }
+                  >
+                    {role === "co-host" ? (
+                      <ShieldOff size={12} />
+                    ) : (
+                      <ShieldCheck size={12} />
+                    )}
+                  </button>
+                )}
+                <button
+                  onClick={() => {
+                    if (confirm("Remove this participant from the room?")) {
+                      onRemoveParticipant?.(playerId);
+                    }
+                  }}
+                  className="p-1.5 rounded-full bg-black/40 backdrop-blur-sm border border-white/20 text-gray-200 hover:text-white hover:bg-red-500/80 transition-colors duration-200"
+                  title="Remove from room"
+                >
+                  <UserX size={12} />
+                </button>
               </div>
             )}
 
@@ -175,9 +275,29 @@ const SimpleVideoGrid = ({
                 </div>
 
                 {/* User Label */}
-                <div className="px-2 py-1 bg-white/10 backdrop-blur-lg border border-white/20 rounded-xl text-white text-xs font-medium shadow-lg">
-                  {isMe ? "You" : `User ${playerId.slice(0, 6)}`}
+                <div className="max-w-[12rem] truncate px-2 py-1 bg-white/10 backdrop-blur-lg border border-white/20 rounded-xl text-white text-xs font-medium shadow-lg">
+                  {isMe
+                    ? player.displayName
+                      ? `${player.displayName} (You)`
+                      : "You"
+                    : getDisplayName(player, playerId)}
                 </div>
+
+                {/* Role Badge */}
+                {roleBadge && (
+                  <div className="flex items-center space-x-1 px-2 py-1 bg-yellow-500/20 backdrop-blur-lg border border-yellow-400/30 rounded-xl text-yellow-200 text-xs font-medium shadow-lg">
+                    <roleBadge.Icon size={12} />
+                    <span>{roleBadge.label}</span>
+                  </div>
+                )}
+
+                {/* Presenting Badge */}
+                {isPresentation && (
+                  <div className="flex items-center space-x-1 px-2 py-1 bg-blue-500/20 backdrop-blur-lg border border-blue-400/30 rounded-xl text-blue-200 text-xs font-medium shadow-lg">
+                    <ScreenShare size={12} />
+                    <span>Presenting</span>
+                  </div>
+                )}
               </div>
             </div>
           </div>
@@ -191,7 +311,16 @@ const SimpleVideoGrid = ({
         prevProps.player.url === nextProps.player.url &&
         prevProps.player.muted === nextProps.player.muted &&
         prevProps.player.playing === nextProps.player.playing &&
+        prevProps.player.videoEnabled === nextProps.player.videoEnabled &&
+        prevProps.player.screenSharing === nextProps.player.screenSharing &&
+        prevProps.player.audioEnabled === nextProps.player.audioEnabled &&
+        prevProps.player.role === nextProps.player.role &&
+        prevProps.player.displayName === nextProps.player.displayName &&
+        prevProps.player.avatarColor === nextProps.player.avatarColor &&
+        prevProps.player.initials === nextProps.player.initials &&
         prevProps.isHighlighted === nextProps.isHighlighted &&
+        prevProps.isPresentation === nextProps.isPresentation &&
+        prevProps.isFilmstrip === nextProps.isFilmstrip &&
         prevProps.totalCount === nextProps.totalCount &&
         prevProps.isAudioEnabled === nextProps.isAudioEnabled // Add isAudioEnabled to comparison
       );
@@ -200,6 +329,64 @@ const SimpleVideoGrid = ({
 
   PlayerCard.displayName = "PlayerCard";
 
+  // Presenter layout: the share takes the stage and cameras move to a
+  // filmstrip. A remote presenter's video is their screen, so their tile is
+  // the share itself; our own camera stays in the filmstrip while we present.
+  const presentation =
+    presenterId === myId
+      ? screenStream && {
+          ...players[myId],
+          url: screenStream,
+          muted: true,
+          playing: true,
+        }
+      : players?.[presenterId];
+
+  if (presentation) {
+    const filmstrip = playerEntries.filter(
+      ([id]) => id !== presenterId || id === myId,
+    );
+
+    return (
+      <div className={`w-full h-full flex flex-col ${className}`}>
+        {/* Shared Screen */}
+        <div className="flex-1 min-h-0 flex justify-center items-center w-full mb-4">
+          <div className="w-full max-w-5xl mx-auto">
+            <PlayerCard
+              key={`${presenterId}-screen`}
+              playerId={presenterId}
+              player={presentation}
+              isHighlighted={true}
+              isPresentation={true}
+              totalCount={playerEntries.length}
+              isAudioEnabled={isAudioEnabled}
+            />
+          </div>
+        </div>
+
+        {/* Camera Filmstrip */}
+        {filmstrip.length > 0 && (
+          <div className="flex justify-center gap-3 w-full overflow-x-auto pb-1">
+            {filmstrip.map(([playerId, player]) => (
+              <div
+                key={`${playerId}-${player.url}`}
+                className="w-48 flex-shrink-0"
+              >
+                <PlayerCard
+                  playerId={playerId}
+                  player={player}
+                  isFilmstrip={true}
+                  totalCount={playerEntries.length}
+                  isAudioEnabled={isAudioEnabled}
+                />
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  }
+
   return (
     <div
       className={`w-full h-full flex flex-col justify-center items-center ${className}`}
@@ -289,6 +476,9 @@ export default memo(SimpleVideoGrid, (prevProps, nextProps) => {
     prevProps.highlightedPlayerId === nextProps.highlightedPlayerId &&
     prevProps.myId === nextProps.myId &&
     prevProps.isAudioEnabled === nextProps.isAudioEnabled && // Add this
+    prevProps.myRole === nextProps.myRole &&
+    prevProps.presenterId === nextProps.presenterId &&
+    prevProps.screenStream === nextProps.screenStream &&
     JSON.stringify(prevProps.players) === JSON.stringify(nextProps.players)
   );
 });
@@ -1,5 +1,8 @@
 import { useState, useEffect, useCallback, useRef } from "react";
 import { cloneDeep } from "lodash";
+import { createLogger } from "@/lib/logger";
+
+const log = createLogger('chat');
 
 /**
  * Custom hook for managing chat functionality within WebRTC peer connections
@@ -8,9 +11,10 @@ import { cloneDeep } from "lodash";
  * @param {Object} peer - PeerJS instance
  * @param {string} myId - Current user's peer ID
  * @param {Object} users - Object containing user connections from usePlayer
+ * @param {Object} profile - Our display name and avatar, sent with messages
  * @returns {Object} Chat functionality and state
  */
-const useChat = (peer, myId, users = {}) => {
+const useChat = (peer, myId, users = {}, profile = {}) => {
   // Chat messages state
   const [messages, setMessages] = useState([]);
   // Data channels for each peer
@@ -29,7 +33,14 @@ const useChat = (peer, myId, users = {}) => {
       id: message.id || `${Date.now()}-${Math.random()}`,
       text: message.text,
       senderId: message.senderId,
-      senderName: message.senderName || message.senderId,
+      // Names come from other browsers, so keep them to a sane length
+      senderName: String(
+        message.senderName || `User ${message.senderId.slice(0, 6)}`
+      ).slice(0, 50),
+      senderColor: /^#[0-9a-f]{6}$/i.test(message.senderColor)
+        ? message.senderColor
+        : '',
+      senderInitials: String(message.senderInitials || '').slice(0, 2),
       timestamp: message.timestamp || new Date().toISOString(),
       isOwn: message.senderId === myId
     };
@@ -53,7 +64,9 @@ const useChat = (peer, myId, users = {}) => {
       id: `${myId}-${Date.now()}-${Math.random()}`,
       text: messageText.trim(),
       senderId: myId,
-      senderName: myId,
+      senderName: profile.displayName,
+      senderColor: profile.avatarColor,
+      senderInitials: profile.initials,
       timestamp: new Date().toISOString(),
       type: 'chat-message'
     };
@@ -69,14 +82,25 @@ const useChat = (peer, myId, users = {}) => {
           channel.send(JSON.stringify(message));
           sentCount++;
         } catch (error) {
-          console.error(`Failed to send message to peer ${peerId}:`, error);
+          log.error('Failed to send message', { peerId, error });
         }
       }
     });
 
-    console.log(`Message sent to ${sentCount} peers`);
+    log.debug('Message sent', { peers: sentCount });
     return sentCount > 0;
-  }, [myId, dataChannels, addMessage]);
+  }, [myId, profile, dataChannels, addMessage]);
+
+  /**
+   * Credit a participant's earlier messages to the id they rejoined with
+   * @param {string} oldId - Peer ID the messages were sent from
+   * @param {string} newId - Peer ID the participant has now
+   */
+  const remapSender = useCallback((oldId, newId) => {
+    setMessages(prev => prev.map(msg =>
+      msg.senderId === oldId ? { ...msg, senderId: newId } : msg
+    ));
+  }, []);
 
   /**
    * Handle incoming data channel messages
@@ -93,7 +117,7 @@ const useChat = (peer, myId, users = {}) => {
         }
       }
     } catch (error) {
-      console.error('Error parsing incoming message:', error);
+      log.error('Error parsing incoming message', error);
     }
   }, [addMessage]);
 
@@ -115,13 +139,13 @@ const useChat = (peer, myId, users = {}) => {
 
     const setupChannelEvents = (channel) => {
       channel.onopen = () => {
-        console.log(`💬 Data channel opened with peer ${peerId}`);
+        log.info('Data channel opened', { peerId });
         setDataChannels(prev => ({ ...prev, [peerId]: channel }));
         setConnectedPeers(prev => new Set([...prev, peerId]));
       };
 
       channel.onclose = () => {
-        console.log(`💬 Data channel closed with peer ${peerId}`);
+        log.info('Data channel closed', { peerId });
         setDataChannels(prev => {
           const updated = cloneDeep(prev);
           delete updated[peerId];
@@ -136,7 +160,7 @@ const useChat = (peer, myId, users = {}) => {
       };
 
       channel.onerror = (error) => {
-        console.error(`💬 Data channel error with peer ${peerId}:`, error);
+        log.error('Data channel error', { peerId, error: error.error || error });
       };
 
       channel.onmessage = handleIncomingMessage;
@@ -150,9 +174,9 @@ const useChat = (peer, myId, users = {}) => {
           maxRetransmits: 3
         });
         setupChannelEvents(dataChannel);
-        console.log(`💬 Created data channel for peer ${peerId}`);
+        log.debug('Created data channel', { peerId });
       } catch (error) {
-        console.error(`💬 Failed to create data channel for peer ${peerId}:`, error);
+        log.error('Failed to create data channel', { peerId, error });
         channelCreationRef.current.delete(channelKey);
       }
     } else {
@@ -161,7 +185,7 @@ const useChat = (peer, myId, users = {}) => {
         dataChannel = event.channel;
         if (dataChannel.label === 'chat') {
           setupChannelEvents(dataChannel);
-          console.log(`💬 Received data channel from peer ${peerId}`);
+          log.debug('Received data channel', { peerId });
         }
       };
 
@@ -179,7 +203,7 @@ const useChat = (peer, myId, users = {}) => {
       try {
         channel.close();
       } catch (error) {
-        console.error(`Error closing data channel for peer ${peerId}:`, error);
+        log.error('Error closing data channel', { peerId, error });
       }
     }
 
@@ -220,7 +244,7 @@ const useChat = (peer, myId, users = {}) => {
       // Use consistent logic: peer with "larger" ID creates the channel
       const shouldInitiate = myId > peerId;
       
-      console.log(`💬 Setting up data channel with ${peerId}, initiating: ${shouldInitiate}`);
+      log.debug('Setting up data channel', { peerId, initiating: shouldInitiate });
       setupDataChannel(peerId, call.peerConnection, shouldInitiate);
     });
   }, [peer, myId, users, dataChannels, setupDataChannel]);
@@ -233,7 +257,7 @@ const useChat = (peer, myId, users = {}) => {
         try {
           channel.close();
         } catch (error) {
-          console.error(`Error closing data channel for peer ${peerId}:`, error);
+          log.error('Error closing data channel', { peerId, error });
         }
       });
     };
@@ -250,6 +274,7 @@ const useChat = (peer, myId, users = {}) => {
     addMessage,
     clearMessages,
     cleanupPeerDataChannel,
+    remapSender,
     
     // Utility
     messageCount: messages.length,
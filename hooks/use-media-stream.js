@@ -4,11 +4,67 @@ import {
   optimizeAudioSettings,
   applyAudioOutputDevice,
 } from "@/utils/audio-diagnostics";
+import { createLogger } from "@/lib/logger";
+import { replaceCallTrack } from "@/lib/call-tracks";
+import {
+  getDevicePreferences,
+  saveDevicePreferences,
+} from "@/lib/device-preferences";
+
+const log = createLogger("media");
+
+// Ask for a camera this big; browsers pick the closest one they have
+const VIDEO_CONSTRAINTS = {
+  width: { ideal: 1280 },
+  height: { ideal: 720 },
+  frameRate: { ideal: 30 },
+};
+
+// getUserMedia errors that mean the camera, not the mic, let us down: none
+// plugged in, busy in another app, unable to meet the constraints, or denied
+const CAMERA_ERRORS = [
+  "NotFoundError",
+  "DevicesNotFoundError",
+  "NotReadableError",
+  "TrackStartError",
+  "OverconstrainedError",
+  "NotAllowedError",
+];
+
+// A remembered device is only preferred, so a missing one falls back to the
+// default instead of failing
+const preferDevice = (deviceId) =>
+  deviceId ? { deviceId: { ideal: deviceId } } : {};
+
+// Camera and mic together, or just the mic when there's no usable camera
+const getLocalStream = async ({ audioInput, videoInput }) => {
+  try {
+    return await navigator.mediaDevices.getUserMedia({
+      audio: optimizeAudioSettings(preferDevice(audioInput)),
+      video: { ...VIDEO_CONSTRAINTS, ...preferDevice(videoInput) },
+    });
+  } catch (error) {
+    if (!CAMERA_ERRORS.includes(error.name)) throw error;
 
-const useMediaStream = () => {
+    log.warn("Camera unavailable, continuing with audio only", {
+      name: error.name,
+      message: error.message,
+    });
+    return navigator.mediaDevices.getUserMedia({
+      audio: optimizeAudioSettings(preferDevice(audioInput)),
+      video: false,
+    });
+  }
+};
+
+/**
+ * Our camera and mic stream, with device selection
+ * @param {Object} calls - Open calls by user id, which get any replaced track
+ */
+const useMediaStream = (calls = {}) => {
   const [state, setState] = useState(null);
   const [isAudioEnabled, setIsAudioEnabled] = useState(false);
-  // const [isVideoEnabled, setIsVideoEnabled] = useState(false);
+  const [isVideoEnabled, setIsVideoEnabled] = useState(false);
   const [error, setError] = useState(null);
   const [permissions, setPermissions] = useState({
     audio: false,
@@ -17,25 +73,56 @@ const useMediaStream = () => {
   const [audioDevices, setAudioDevices] = useState({ inputs: [], outputs: [] });
   const [selectedAudioInput, setSelectedAudioInput] = useState("default");
   const [selectedAudioOutput, setSelectedAudioOutput] = useState("default");
+  const [videoDevices, setVideoDevices] = useState([]);
+  const [selectedVideoInput, setSelectedVideoInput] = useState("");
   const isStreamSet = useRef(false);
+  // Read when a track is replaced, so it reaches calls opened since render
+  const callsRef = useRef(calls);
+  callsRef.current = calls;
 
-  // Enumerate audio devices
-  const updateAudioDevices = async () => {
+  // Enumerate audio devices and cameras
+  const updateDevices = async () => {
     try {
       const devices = await navigator.mediaDevices.enumerateDevices();
       const inputs = devices.filter((device) => device.kind === "audioinput");
       const outputs = devices.filter((device) => device.kind === "audiooutput");
+      const cameras = devices.filter((device) => device.kind === "videoinput");
 
       setAudioDevices({ inputs, outputs });
-      console.log("📱 Audio devices updated:", {
+      setVideoDevices(cameras);
+      log.debug("Devices updated", {
         inputs: inputs.length,
         outputs: outputs.length,
+        cameras: cameras.length,
       });
     } catch (error) {
-      console.error("❌ Failed to enumerate devices:", error);
+      log.error("Failed to enumerate devices", error);
     }
   };
 
+  // Swap the stream's track of the same kind for a new one, both locally and
+  // on every call's sender, so remote people hear and see the new device.
+  // The new track inherits the old one's mute/camera-off state.
+  const replaceTrack = async (newTrack) => {
+    if (!state) return;
+
+    const oldTrack = state
+      .getTracks()
+      .find((track) => track.kind === newTrack.kind);
+    if (oldTrack) {
+      newTrack.enabled = oldTrack.enabled;
+      state.removeTrack(oldTrack);
+      oldTrack.stop();
+    }
+    state.addTrack(newTrack);
+
+    await replaceCallTrack(callsRef.current, newTrack);
+    log.debug("Replaced local track", {
+      kind: newTrack.kind,
+      label: newTrack.label,
+    });
+  };
+
   // Switch audio input device
   const switchAudioInput = async (deviceId) => {
     if (!state) return false;
@@ -49,37 +136,55 @@ const useMediaStream = () => {
         video: false,
       });
 
-      // Replace audio track in existing stream
-      const oldAudioTrack = state.getAudioTracks()[0];
-      if (oldAudioTrack) {
-        state.removeTrack(oldAudioTrack);
-        oldAudioTrack.stop();
-      }
-
       const newAudioTrack = newStream.getAudioTracks()[0];
       if (newAudioTrack) {
-        state.addTrack(newAudioTrack);
+        await replaceTrack(newAudioTrack);
         setSelectedAudioInput(deviceId);
         setIsAudioEnabled(newAudioTrack.enabled);
+        saveDevicePreferences({ audioInput: deviceId });
       }
 
-      // Clean up temporary stream
-      newStream.getVideoTracks().forEach((track) => track.stop());
-
-      console.log("🎤 Switched to audio input:", deviceId);
+      log.info("Switched audio input", { deviceId });
       return true;
     } catch (error) {
-      console.error("❌ Failed to switch audio input:", error);
+      log.error("Failed to switch audio input", error);
       setError(error.message);
       return false;
     }
   };
 
+  // Switch camera. Only a stream that started with a camera has a video
+  // sender on its calls to swap the new one into.
+  const switchVideoInput = async (deviceId) => {
+    if (!state?.getVideoTracks().length) return false;
+
+    try {
+      const newStream = await navigator.mediaDevices.getUserMedia({
+        audio: false,
+        video: { ...VIDEO_CONSTRAINTS, deviceId: { exact: deviceId } },
+      });
+
+      const newVideoTrack = newStream.getVideoTracks()[0];
+      if (newVideoTrack) {
+        await replaceTrack(newVideoTrack);
+        setSelectedVideoInput(deviceId);
+        saveDevicePreferences({ videoInput: deviceId });
+      }
+
+      log.info("Switched camera", { deviceId });
+      return true;
+    } catch (error) {
+      log.error("Failed to switch camera", error);
+      return false;
+    }
+  };
+
   // Switch audio output device (for speakers)
   const switchAudioOutput = async (deviceId) => {
     try {
       setSelectedAudioOutput(deviceId);
-      console.log("🔊 Audio output device set to:", deviceId);
+      saveDevicePreferences({ audioOutput: deviceId });
+      log.info("Audio output device set", { deviceId });
 
       // Use the utility function to apply audio output device
       const results = await applyAudioOutputDevice(deviceId);
@@ -91,28 +196,28 @@ const useMediaStream = () => {
         if (videoElement && videoElement.setSinkId) {
           try {
             await videoElement.setSinkId(deviceId);
-            console.log("✅ Set sink ID for ReactPlayer video element");
+            log.debug("Set sink ID for ReactPlayer video element");
           } catch (err) {
-            console.warn("⚠️ Failed to set sink ID for ReactPlayer:", err);
+            log.warn("Failed to set sink ID for ReactPlayer", err);
           }
         }
       }
 
       return true;
     } catch (error) {
-      console.error("❌ Failed to switch audio output:", error);
+      log.error("Failed to switch audio output", error);
       return false;
     }
   };
 
   // Update devices on mount and when devices change
   useEffect(() => {
-    updateAudioDevices();
+    updateDevices();
 
     // Listen for device changes
     const handleDeviceChange = () => {
-      console.log("📱 Audio devices changed");
-      updateAudioDevices();
+      log.debug("Devices changed");
+      updateDevices();
     };
 
     if (navigator.mediaDevices) {
@@ -136,61 +241,51 @@ const useMediaStream = () => {
       try {
         // Run audio diagnostics in development
         if (process.env.NODE_ENV === "development") {
-          console.log("🔍 Running audio diagnostics...");
+          log.debug("Running audio diagnostics");
           await quickAudioCheck();
         }
 
-        // Check permissions first
-        const permissionStatus = await navigator.permissions.query({
-          name: "camera",
-        });
-        console.log("Camera permission:", permissionStatus.state);
+        // Not every browser can query the camera permission (Firefox can't)
+        const permissionStatus = await navigator.permissions
+          ?.query({ name: "camera" })
+          .catch(() => null);
+        log.debug("Camera permission", { state: permissionStatus?.state });
 
-        // Use optimized audio settings
-        const audioConstraints = optimizeAudioSettings();
+        const preferences = getDevicePreferences();
+        const stream = await getLocalStream(preferences);
 
-        const stream = await navigator.mediaDevices.getUserMedia({
-          audio: audioConstraints,
-          video: false,
+        log.info("Local stream ready", {
+          audioTracks: stream.getAudioTracks().length,
+          videoTracks: stream.getVideoTracks().length,
         });
 
-        console.log("Setting your stream");
-        console.log("Audio tracks:", stream.getAudioTracks().length);
-        console.log("Video tracks:", stream.getVideoTracks().length);
-
-        setState(stream);
-        setPermissions({ audio: true, video: false });
-
         // Set initial states based on track enabled status
         const audioTracks = stream.getAudioTracks();
         const videoTracks = stream.getVideoTracks();
 
+        setState(stream);
+        setPermissions({ audio: true, video: videoTracks.length > 0 });
+
+        // The devices we actually got, which may not be the remembered ones
         if (audioTracks.length > 0) {
           setIsAudioEnabled(audioTracks[0].enabled);
+          setSelectedAudioInput(
+            audioTracks[0].getSettings().deviceId || "default",
+          );
         }
         if (videoTracks.length > 0) {
           setIsVideoEnabled(videoTracks[0].enabled);
+          setSelectedVideoInput(videoTracks[0].getSettings().deviceId || "");
+        }
+        if (preferences.audioOutput) {
+          setSelectedAudioOutput(preferences.audioOutput);
         }
+
+        // Device names are only readable once access is granted
+        updateDevices();
       } catch (e) {
-        console.error("Error in media navigator:", e);
+        log.error("Failed to get local media", e);
         setError(e.message);
-
-        // Try to get audio only if video fails
-        if (e.name === "NotFoundError" || e.name === "DevicesNotFoundError") {
-          try {
-            const audioConstraints = optimizeAudioSettings();
-            const audioOnlyStream = await navigator.mediaDevices.getUserMedia({
-              audio: audioConstraints,
-              video: false,
-            });
-            setState(audioOnlyStream);
-            setPermissions({ audio: true, video: false });
-            console.log("Audio-only stream set");
-          } catch (audioError) {
-            console.error("Audio-only stream failed:", audioError);
-            setError(audioError.message);
-          }
-        }
       }
     })();
   }, []);
@@ -205,37 +300,40 @@ const useMediaStream = () => {
         setIsAudioEnabled(newState);
         return newState;
       } else {
-        console.warn("No audio tracks available");
+        log.warn("No audio tracks available");
       }
     } else {
-      console.warn("No media stream available");
+      log.warn("No media stream available");
     }
     return false;
   };
 
-  // const toggleVideo = () => {
-  //   if (state) {
-  //     const videoTracks = state.getVideoTracks();
-  //     if (videoTracks.length > 0) {
-  //       const newState = !videoTracks[0].enabled;
-  //       videoTracks[0].enabled = newState;
-  //       setIsVideoEnabled(newState);
-  //       console.log("Video toggled:", newState ? "ON" : "OFF");
-  //       return newState;
-  //     } else {
-  //       console.warn("No video tracks available");
-  //     }
-  //   } else {
-  //     console.warn("No media stream available");
-  //   }
-  //   return false;
-  // };
+  // Turning the camera off disables its track rather than stopping it, so
+  // calls keep their video sender and turning it back on is instant
+  const toggleVideo = () => {
+    if (state) {
+      const videoTracks = state.getVideoTracks();
+      if (videoTracks.length > 0) {
+        const newState = !videoTracks[0].enabled;
+        videoTracks[0].enabled = newState;
+        setIsVideoEnabled(newState);
+        return newState;
+      } else {
+        log.warn("No video tracks available");
+      }
+    } else {
+      log.warn("No media stream available");
+    }
+    return false;
+  };
 
   return {
     stream: state,
     isAudioEnabled,
-    isVideoEnabled: false,
+    isVideoEnabled,
+    hasCamera: permissions.video,
     toggleAudio,
+    toggleVideo,
     error,
     permissions,
     audioDevices,
@@ -243,7 +341,11 @@ const useMediaStream = () => {
     selectedAudioOutput,
     switchAudioInput,
     switchAudioOutput,
-    updateAudioDevices,
+    videoDevices,
+    selectedVideoInput,
+    switchVideoInput,
+    replaceTrack,
+    updateDevices,
   };
 };
 
@@ -1,13 +1,49 @@
 import { useSocket } from "@/store/socket";
 import { useParams } from "next/navigation";
+import { getRoomPassword, getHostKey } from "@/lib/room-access";
+import { getProfile, getClientId } from "@/lib/profile";
+import { createLogger } from "@/lib/logger";
+import { loadClientConfig } from "@/lib/client-config";
 
 const { useState, useEffect, useRef } = require("react");
 
-const usePeer = () => {
+const log = createLogger("peer");
+
+// "peerjs" (default) brokers calls through a PeerServer; "api" sends them
+// through our own /api/socket route so no outside server is needed
+const SIGNALING_MODE = process.env.NEXT_PUBLIC_SIGNALING_MODE || "peerjs";
+
+// Point PeerJS at a self-hosted PeerServer instead of the public cloud one
+const getPeerServerOptions = () => {
+  if (!process.env.NEXT_PUBLIC_PEER_HOST) return {};
+
+  return {
+    host: process.env.NEXT_PUBLIC_PEER_HOST,
+    port: Number(process.env.NEXT_PUBLIC_PEER_PORT) || 443,
+    path: process.env.NEXT_PUBLIC_PEER_PATH || "/",
+    secure: process.env.NEXT_PUBLIC_PEER_SECURE !== "false",
+    key: process.env.NEXT_PUBLIC_PEER_KEY || "peerjs",
+  };
+};
+
+// Used until the server's ICE servers arrive with our join
+const PUBLIC_STUN = [{ urls: "stun:stun.l.google.com:19302" }];
+
+// Fetch fresh TURN credentials once this share of their lifetime is gone
+const ICE_REFRESH_AT = 0.8;
+
+/**
+ * Our peer for the room's calls. It connects right away, but only joins the
+ * room once `ready` (the pre-join screen is done).
+ * @param {boolean} ready - Whether to join the room
+ */
+const usePeer = (ready = true) => {
   const socket = useSocket();
   const { roomId } = useParams(); // Updated to use app directory router
   const [peer, setPeer] = useState(null);
   const [myId, setMyId] = useState("");
+  // Bumped every time the peer opens, reconnects included
+  const [openCount, setOpenCount] = useState(0);
   const isPeerSet = useRef(false);
 
   useEffect(() => {
@@ -17,56 +53,59 @@ const usePeer = () => {
 
     const initPeer = async () => {
       try {
-        console.log("🔄 Initializing PeerJS...");
-        const Peer = (await import("peerjs")).default;
-        myPeer = new Peer({
-          config: {
-            iceServers: [
-              { urls: "stun:stun.l.google.com:19302" },
-              { urls: "stun:stun1.l.google.com:19302" },
-              { urls: "stun:stun2.l.google.com:19302" },
-              { urls: "stun:stun3.l.google.com:19302" },
-              { urls: "stun:stun4.l.google.com:19302" },
-              // Additional STUN servers for better connectivity
-              { urls: "stun:stun.ekiga.net" },
-              { urls: "stun:stun.ideasip.com" },
-            ],
-            sdpSemantics: "unified-plan", // Use unified plan for better compatibility
-            iceCandidatePoolSize: 10, // Gather more ICE candidates
-          },
-          // Add debug logging
-          debug: process.env.NODE_ENV === "development" ? 2 : 0,
-        });
+        const { peerRetryDelayMs } = await loadClientConfig();
+        const config = {
+          iceServers: PUBLIC_STUN,
+          sdpSemantics: "unified-plan", // Use unified plan for better compatibility
+          iceCandidatePoolSize: 10, // Gather more ICE candidates
+        };
+
+        if (SIGNALING_MODE === "api") {
+          // Exchange SDP/ICE through our own /api/socket route
+          log.debug("Initializing API signaling peer");
+          const { APIPeer } = await import("@/lib/api-peer");
+          myPeer = new APIPeer(socket, { config });
+        } else {
+          log.debug("Initializing PeerJS");
+          const Peer = (await import("peerjs")).default;
+          myPeer = new Peer({
+            ...getPeerServerOptions(),
+            config,
+            // Add debug logging
+            debug: process.env.NODE_ENV === "development" ? 2 : 0,
+          });
+        }
         setPeer(myPeer);
 
         myPeer.on("open", (id) => {
-          console.log("✅ PeerJS connected! Your peer ID:", id);
+          log.info("Peer open", { peerId: id });
           setMyId(id);
-
-          // Always try to join room - socket will handle connection state
-          console.log("📡 Joining room:", roomId, "with peer ID:", id);
-          socket.emit("join-room", roomId, id);
+          setOpenCount((count) => count + 1);
         });
 
         myPeer.on("error", (error) => {
-          console.error("❌ PeerJS error:", error);
+          log.error("Peer error", { type: error.type, error });
           // Retry connection after a delay
           setTimeout(() => {
             if (!myPeer.destroyed) {
-              console.log("🔄 Retrying PeerJS connection...");
+              log.info("Retrying peer connection");
               myPeer.reconnect();
             }
-          }, 2000);
+          }, peerRetryDelayMs);
         });
 
+        // Destroying the peer (leaving the room) disconnects it too. PeerJS
+        // only marks itself destroyed after emitting this, so check once the
+        // destroy call has returned, and reconnect only after a real drop.
         myPeer.on("disconnected", () => {
-          console.log("⚠️ PeerJS disconnected, attempting to reconnect...");
-          if (!myPeer.destroyed) {
+          queueMicrotask(() => {
+            if (myPeer.destroyed) return;
+            log.warn("Peer disconnected, reconnecting");
             myPeer.reconnect();
-          }
+          });
         });
       } catch (error) {
-        console.error("❌ Failed to initialize PeerJS:", error);
+        log.error("Failed to initialize peer", error);
         isPeerSet.current = false; // Allow retry
       }
     };
@@ -76,12 +115,59 @@ const usePeer = () => {
     // Cleanup function
     return () => {
       if (myPeer && !myPeer.destroyed) {
-        console.log("🧹 Cleaning up PeerJS connection...");
+        log.debug("Cleaning up peer connection");
         myPeer.destroy();
       }
     };
   }, [roomId, socket]);
 
+  // ICE servers (with short-lived TURN credentials) are only issued to a
+  // joined session; the socket fetches them before announcing the join, and
+  // new calls use them from then on. They are renewed before they expire.
+  useEffect(() => {
+    if (!peer || !socket) return;
+    let refreshTimer = null;
+
+    const applyIceConfig = () => {
+      clearTimeout(refreshTimer);
+      if (!socket.iceConfig || !socket.sessionId) return;
+
+      const { iceServers, iceTransportPolicy, ttl } = socket.iceConfig;
+      peer.options.config = {
+        ...peer.options.config,
+        iceServers,
+        iceTransportPolicy,
+      };
+      refreshTimer = setTimeout(refreshIceConfig, ttl * 1000 * ICE_REFRESH_AT);
+    };
+
+    const refreshIceConfig = async () => {
+      await socket.loadIceConfig();
+      applyIceConfig();
+    };
+
+    socket.on("connect", applyIceConfig);
+    return () => {
+      socket.off("connect", applyIceConfig);
+      clearTimeout(refreshTimer);
+    };
+  }, [peer, socket]);
+
+  // Join once ready, and again whenever the peer reopens - socket will
+  // handle connection state
+  useEffect(() => {
+    if (!ready || !openCount || !myId || !socket) return;
+
+    log.info("Joining room", { roomId, peerId: myId });
+    // Our name and avatar go on the participant record with the join
+    socket.setLocalState(getProfile());
+    socket.emit("join-room", roomId, myId, {
+      password: getRoomPassword(roomId),
+      hostKey: getHostKey(roomId),
+      clientId: getClientId(),
+    });
+  }, [ready, openCount, myId, roomId, socket]);
+
   return {
     peer,
     myId,
@@ -1,7 +1,10 @@
-import { useState } from "react";
+import { useState, useEffect } from "react";
 import { cloneDeep } from "lodash";
 import { useSocket } from "@/store/socket";
 import { useRouter } from "next/navigation";
+import { createLogger } from "@/lib/logger";
+
+const log = createLogger("media");
 
 const usePlayer = (myId, roomId, peer, mediaControls = {}) => {
   const socket = useSocket();
@@ -13,7 +16,6 @@ const usePlayer = (myId, roomId, peer, mediaControls = {}) => {
     toggleAudio: toggleMediaAudio,
     toggleVideo: toggleMediaVideo,
     isAudioEnabled,
-    isVideoEnabled,
   } = mediaControls;
 
   const playerHighlighted = playersCopy[myId];
@@ -24,20 +26,33 @@ const usePlayer = (myId, roomId, peer, mediaControls = {}) => {
   const leaveRoom = () => {
     if (!socket || !myId) return; // Safety check
 
-    console.log(`👋 Leaving room ${roomId} with peer ID ${myId}`);
+    log.info("Leaving room", { roomId, peerId: myId });
 
     // Emit leave event to server
     socket.emit("user-leave", myId, roomId);
 
-    // Close peer connection
+    // Hang up and close the peer for good; a peer that is only
+    // disconnected gets reconnected by usePeer
     if (peer && !peer.destroyed) {
-      peer.disconnect();
+      peer.destroy();
     }
 
     // Navigate back to home
     router.push("/");
   };
 
+  // Leave because the server closed our session (removed by a host or the
+  // room ended): no leave event to send, just drop the calls and go home
+  const exitRoom = (reason) => {
+    log.info("Sent out of the room", { roomId, reason });
+
+    if (peer && !peer.destroyed) {
+      peer.destroy();
+    }
+
+    router.push(`/?reason=${reason}`);
+  };
+
   const toggleAudio = () => {
     if (!socket || !myId) return; // Safety check
 
@@ -60,30 +75,69 @@ const usePlayer = (myId, roomId, peer, mediaControls = {}) => {
     });
 
     // Notify other users about the audio toggle
-    socket.emit("user-toggle-audio", myId, roomId);
+    socket.emit("user-toggle-audio", myId, roomId, newAudioState);
 
-    console.log(`Audio toggled: ${newAudioState ? "ON" : "OFF"}`);
+    log.debug("Audio toggled", { enabled: newAudioState });
   };
 
   const toggleVideo = () => {
     if (!socket || !myId) return; // Safety check
 
-    // Toggle the actual media stream
-    // if (toggleMediaVideo) {
-    //   toggleMediaVideo();
-    // }
+    // Toggle the actual camera track first
+    let newVideoState = false;
+    if (toggleMediaVideo) {
+      newVideoState = toggleMediaVideo();
+    }
 
     setPlayers((prev) => {
       const copy = cloneDeep(prev);
       // Safety check: ensure player exists before toggling
       if (copy[myId]) {
-        copy[myId].playing = isVideoEnabled; // Use actual video state
+        copy[myId].playing = newVideoState;
+        copy[myId].videoEnabled = newVideoState;
       }
       return { ...copy };
     });
-    socket.emit("user-toggle-video", myId, roomId);
+
+    // Notify other users about the video toggle
+    socket.emit("user-toggle-video", myId, roomId, newVideoState);
+
+    log.debug("Video toggled", { enabled: newVideoState });
   };
 
+  // Moderation, for hosts and co-hosts; the server rejects anyone else
+  const muteParticipant = (userId) => socket?.emit("mute-user", userId);
+  const muteAll = () => socket?.emit("mute-all");
+  const removeParticipant = (userId) => socket?.emit("kick-user", userId);
+  const setParticipantRole = (userId, role) =>
+    socket?.emit("set-role", userId, role);
+  const endRoom = () => socket?.emit("end-room");
+  const admitParticipant = (userId) => socket?.emit("admit-user", userId);
+  const denyParticipant = (userId) => socket?.emit("deny-user", userId);
+
+  // Obey host commands aimed at us. Re-subscribed on every render so the
+  // handlers always see the current mic state.
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleForceMute = () => {
+      log.info("Muted by a host");
+      if (isAudioEnabled) toggleAudio();
+    };
+    const handleRemoved = (reason) => exitRoom(reason || "removed");
+    const handleRoomEnded = (endedBy, reason) => exitRoom(reason || "ended");
+
+    socket.on("force-mute", handleForceMute);
+    socket.on("removed-from-room", handleRemoved);
+    socket.on("room-ended", handleRoomEnded);
+
+    return () => {
+      socket.off("force-mute", handleForceMute);
+      socket.off("removed-from-room", handleRemoved);
+      socket.off("room-ended", handleRoomEnded);
+    };
+  });
+
   return {
     players,
     setPlayers,
@@ -92,6 +146,13 @@ const usePlayer = (myId, roomId, peer, mediaControls = {}) => {
     toggleAudio,
     toggleVideo,
     leaveRoom,
+    muteParticipant,
+    muteAll,
+    removeParticipant,
+    setParticipantRole,
+    endRoom,
+    admitParticipant,
+    denyParticipant,
   };
 };
 
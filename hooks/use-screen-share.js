@@ -0,0 +1,76 @@
+import { useEffect, useState } from "react";
+import { useSocket } from "@/store/socket";
+import { createLogger } from "@/lib/logger";
+import { replaceCallTrack } from "@/lib/call-tracks";
+
+const log = createLogger("media");
+
+/**
+ * Share the screen in place of the camera on every call
+ * @param {MediaStream} stream - Our camera and mic stream
+ * @param {Object} calls - Open calls by user id
+ */
+const useScreenShare = (stream, calls) => {
+  const socket = useSocket();
+  const [screenStream, setScreenStream] = useState(null);
+
+  // Calls only carry video if our stream had a camera when they started
+  const canScreenShare =
+    typeof navigator !== "undefined" &&
+    !!navigator.mediaDevices?.getDisplayMedia &&
+    !!stream?.getVideoTracks().length;
+
+  const startScreenShare = async () => {
+    if (screenStream || !canScreenShare) return;
+
+    try {
+      const display = await navigator.mediaDevices.getDisplayMedia({
+        video: true,
+        audio: false,
+      });
+      // The browser's own "Stop sharing" bar ends the track
+      display.getVideoTracks()[0].addEventListener("ended", () => {
+        log.info("Screen share ended by the browser");
+        setScreenStream(null);
+      });
+      log.info("Screen share started");
+      setScreenStream(display);
+    } catch (error) {
+      // Closing the picker without choosing anything rejects too
+      if (error.name === "NotAllowedError") return;
+      log.error("Failed to share screen", error);
+    }
+  };
+
+  const stopScreenShare = () => setScreenStream(null);
+
+  const toggleScreenShare = () =>
+    screenStream ? stopScreenShare() : startScreenShare();
+
+  // Send the screen while sharing and the camera otherwise, including on
+  // calls that start mid-share
+  useEffect(() => {
+    const track =
+      screenStream?.getVideoTracks()[0] ?? stream?.getVideoTracks()[0];
+    if (track) replaceCallTrack(calls, track);
+  }, [calls, screenStream, stream]);
+
+  // Let the room know, and stop capturing once the share is over
+  useEffect(() => {
+    socket?.setLocalState({ screenSharing: !!screenStream });
+    if (!screenStream) return;
+
+    return () => screenStream.getTracks().forEach((track) => track.stop());
+  }, [screenStream, socket]);
+
+  return {
+    screenStream,
+    isScreenSharing: !!screenStream,
+    canScreenShare,
+    startScreenShare,
+    stopScreenShare,
+    toggleScreenShare,
+  };
+};
+
+export default useScreenShare;
@@ -0,0 +1,312 @@
+/**
+ * PeerJS-compatible peer that exchanges SDP offers/answers and ICE candidates
+ * through our own /api/socket route instead of a PeerServer. It implements
+ * the part of the PeerJS API the app uses (open/call/error events, call(),
+ * answer(), close(), destroy()), so the room page works with either.
+ */
+
+import { createLogger } from "@/lib/logger";
+
+const log = createLogger("peer");
+
+// Minimal event emitter matching the on/off style of APISocket
+class Emitter {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  on(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, []);
+    }
+    this.listeners.get(event).push(callback);
+  }
+
+  off(event, callback) {
+    const callbacks = this.listeners.get(event);
+    if (!callbacks) return;
+    const index = callbacks.indexOf(callback);
+    if (index > -1) {
+      callbacks.splice(index, 1);
+    }
+  }
+
+  emit(event, ...args) {
+    (this.listeners.get(event) || []).slice().forEach((callback) => {
+      try {
+        callback(...args);
+      } catch (error) {
+        log.error(`Error in ${event} callback`, error);
+      }
+    });
+  }
+}
+
+export class APIMediaConnection extends Emitter {
+  constructor(apiPeer, remoteId, { connectionId, localStream, offer }) {
+    super();
+    this.provider = apiPeer;
+    this.peer = remoteId;
+    this.connectionId = connectionId;
+    this.localStream = localStream || null;
+    this.remoteStream = null;
+    this.open = false;
+    this.closed = false;
+
+    // Perfect negotiation: the peer with the smaller id yields on collisions
+    this.polite = apiPeer.id < remoteId;
+    this.makingOffer = false;
+    this.negotiated = false;
+    this.pendingOffer = offer || null;
+    this.pendingCandidates = [];
+
+    const pc = new RTCPeerConnection(apiPeer.options.config);
+    this.peerConnection = pc;
+
+    pc.onicecandidate = ({ candidate }) => {
+      if (candidate) {
+        this.signal({ type: "candidate", candidate: candidate.toJSON() });
+      }
+    };
+
+    pc.ontrack = ({ streams }) => {
+      const [stream] = streams;
+      if (!stream || this.remoteStream === stream) return;
+      this.remoteStream = stream;
+      this.open = true;
+      this.emit("stream", stream);
+    };
+
+    // Renegotiate later changes, such as the chat data channel
+    pc.onnegotiationneeded = async () => {
+      if (!this.negotiated || this.closed) return;
+      try {
+        this.makingOffer = true;
+        await pc.setLocalDescription();
+        this.signal({ type: "offer", sdp: pc.localDescription });
+      } catch (error) {
+        this.emit("error", error);
+      } finally {
+        this.makingOffer = false;
+      }
+    };
+
+    pc.onconnectionstatechange = () => {
+      if (["failed", "closed"].includes(pc.connectionState)) {
+        this.close();
+      }
+    };
+  }
+
+  signal(data) {
+    this.provider.sendSignal(this.peer, {
+      ...data,
+      connectionId: this.connectionId,
+    });
+  }
+
+  addLocalTracks(stream) {
+    if (!stream) return;
+    stream.getTracks().forEach((track) => {
+      this.peerConnection.addTrack(track, stream);
+    });
+  }
+
+  // Caller side: send the initial offer
+  async start() {
+    try {
+      this.addLocalTracks(this.localStream);
+      const offer = await this.peerConnection.createOffer();
+      await this.peerConnection.setLocalDescription(offer);
+      this.signal({ type: "offer", sdp: this.peerConnection.localDescription });
+    } catch (error) {
+      this.emit("error", error);
+    }
+  }
+
+  // Callee side: accept the offer that created this connection
+  async answer(stream) {
+    if (!this.pendingOffer) return;
+    const offer = this.pendingOffer;
+    this.pendingOffer = null;
+    this.localStream = stream || null;
+
+    try {
+      await this.peerConnection.setRemoteDescription(offer);
+      this.addLocalTracks(this.localStream);
+      const answer = await this.peerConnection.createAnswer();
+      await this.peerConnection.setLocalDescription(answer);
+      this.signal({
+        type: "answer",
+        sdp: this.peerConnection.localDescription,
+      });
+      this.negotiated = true;
+      await this.flushCandidates();
+    } catch (error) {
+      this.emit("error", error);
+    }
+  }
+
+  async flushCandidates() {
+    const candidates = this.pendingCandidates;
+    this.pendingCandidates = [];
+    for (const candidate of candidates) {
+      await this.peerConnection.addIceCandidate(candidate);
+    }
+  }
+
+  async handleSignal(data) {
+    const pc = this.peerConnection;
+
+    try {
+      switch (data.type) {
+        case "offer": {
+          const collision = this.makingOffer || pc.signalingState !== "stable";
+          if (!this.polite && collision) return;
+
+          await pc.setRemoteDescription(data.sdp);
+          await pc.setLocalDescription();
+          this.signal({ type: "answer", sdp: pc.localDescription });
+          await this.flushCandidates();
+          break;
+        }
+
+        case "answer":
+          await pc.setRemoteDescription(data.sdp);
+          this.negotiated = true;
+          await this.flushCandidates();
+          break;
+
+        case "candidate":
+          // Candidates can arrive before the description they belong to
+          if (pc.remoteDescription) {
+            await pc.addIceCandidate(data.candidate);
+          } else {
+            this.pendingCandidates.push(data.candidate);
+          }
+          break;
+
+        case "close":
+          this.close(false);
+          break;
+      }
+    } catch (error) {
+      this.emit("error", error);
+    }
+  }
+
+  close(notifyRemote = true) {
+    if (this.closed) return;
+    this.closed = true;
+    this.open = false;
+
+    if (notifyRemote) {
+      this.signal({ type: "close" });
+    }
+    this.peerConnection.close();
+    this.provider.removeConnection(this);
+    this.emit("close");
+  }
+}
+
+export class APIPeer extends Emitter {
+  /**
+   * @param {Object} socket - APISocket used to relay signals
+   * @param {Object} options - Same shape as PeerJS options ({ config })
+   */
+  constructor(socket, options = {}) {
+    super();
+    this.socket = socket;
+    this.options = options;
+    this.id = crypto.randomUUID();
+    this.connections = new Map();
+    this.pendingCalls = [];
+    this.destroyed = false;
+    this.disconnected = true;
+
+    this.handleSignal = this.handleSignal.bind(this);
+    this.reconnect();
+  }
+
+  // Calls that arrive before anyone listens are held until a listener exists
+  on(event, callback) {
+    super.on(event, callback);
+    if (event === "call" && this.pendingCalls.length > 0) {
+      const calls = this.pendingCalls;
+      this.pendingCalls = [];
+      calls.forEach((call) => this.emit("call", call));
+    }
+  }
+
+  call(remoteId, stream) {
+    const connection = new APIMediaConnection(this, remoteId, {
+      connectionId: `mc_${crypto.randomUUID()}`,
+      localStream: stream,
+    });
+    this.connections.set(connection.connectionId, connection);
+    connection.start();
+    return connection;
+  }
+
+  sendSignal(remoteId, data) {
+    if (this.destroyed) return;
+    this.socket.emit("signal", remoteId, data);
+  }
+
+  handleSignal(fromId, data) {
+    if (!data?.connectionId) return;
+
+    const existing = this.connections.get(data.connectionId);
+    if (existing) {
+      existing.handleSignal(data);
+      return;
+    }
+
+    if (data.type !== "offer") return;
+
+    const connection = new APIMediaConnection(this, fromId, {
+      connectionId: data.connectionId,
+      offer: data.sdp,
+    });
+    this.connections.set(connection.connectionId, connection);
+
+    if (this.listeners.get("call")?.length) {
+      this.emit("call", connection);
+    } else {
+      this.pendingCalls.push(connection);
+    }
+  }
+
+  removeConnection(connection) {
+    this.connections.delete(connection.connectionId);
+  }
+
+  // Stop receiving new signals; existing calls stay up
+  disconnect() {
+    if (this.disconnected) return;
+    this.disconnected = true;
+    this.socket.off("signal", this.handleSignal);
+    this.emit("disconnected", this.id);
+  }
+
+  reconnect() {
+    if (this.destroyed || !this.disconnected) return;
+    this.disconnected = false;
+    this.socket.on("signal", this.handleSignal);
+
+    // Ids are generated locally, so the peer is usable right away
+    setTimeout(() => {
+      if (!this.destroyed) this.emit("open", this.id);
+    }, 0);
+  }
+
+  // Marked destroyed first, so "disconnected" listeners can tell this from
+  // a dropped connection and don't reconnect
+  destroy() {
+    if (this.destroyed) return;
+    this.destroyed = true;
+    [...this.connections.values()].forEach((connection) => connection.close());
+    this.disconnect();
+    this.emit("close");
+  }
+}
@@ -0,0 +1,32 @@
+import { createLogger } from "@/lib/logger";
+
+const log = createLogger("media");
+
+/**
+ * Point every call's sender of the track's kind at the given track. Swapping
+ * the track keeps each connection as it is, so nothing is renegotiated.
+ * Works with PeerJS calls and APIMediaConnection alike.
+ * @param {Object} calls - Open calls by user id
+ * @param {MediaStreamTrack} track - The audio or video track to send
+ */
+export const replaceCallTrack = (calls, track) =>
+  Promise.all(
+    Object.entries(calls || {}).map(async ([userId, call]) => {
+      // The receiver's kind never changes, even while the sender has no track
+      const sender = call.peerConnection
+        ?.getTransceivers()
+        .find(
+          (transceiver) => transceiver.receiver.track?.kind === track.kind
+        )?.sender;
+      if (!sender || sender.track === track) return;
+
+      try {
+        await sender.replaceTrack(track);
+      } catch (error) {
+        log.warn(`Failed to replace ${track.kind} track`, {
+          userId,
+          message: error.message,
+        });
+      }
+    })
+  );
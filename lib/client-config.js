@@ -0,0 +1,38 @@
+import { createLogger } from "@/lib/logger";
+
+const log = createLogger("signaling");
+
+// Browser timings, used until /api/config answers (or if it can't). The
+// server fills the same keys from its environment, so a deployment can tune
+// them without a rebuild.
+export const DEFAULT_CLIENT_CONFIG = {
+  // How often the polling fallback pings and reads room events
+  pollIntervalMs: 2000,
+  // Reconnect attempt n waits n times this long
+  reconnectDelayMs: 1000,
+  maxReconnectAttempts: 5,
+  // 429 answers are retried this many times, backing off from Retry-After
+  maxRateLimitRetries: 4,
+  // Wait before asking PeerJS to reconnect after a peer error
+  peerRetryDelayMs: 2000,
+};
+
+let configPromise = null;
+
+/**
+ * The client config from /api/config, fetched once per page
+ * @returns {Promise<Object>} DEFAULT_CLIENT_CONFIG with the server's values
+ */
+export const loadClientConfig = () => {
+  configPromise ??= fetch("/api/config", { cache: "no-store" })
+    .then((response) => {
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return response.json();
+    })
+    .then((config) => ({ ...DEFAULT_CLIENT_CONFIG, ...config }))
+    .catch((error) => {
+      log.warn("Failed to load client config, using defaults", error);
+      return DEFAULT_CLIENT_CONFIG;
+    });
+  return configPromise;
+};
@@ -0,0 +1,29 @@
+// The mic, speaker and camera picked in device settings, remembered in this
+// browser and asked for again on the next join. Empty means the default.
+const DEVICES_KEY = "streamtalk:devices";
+
+const EMPTY_PREFERENCES = { audioInput: "", audioOutput: "", videoInput: "" };
+
+export const getDevicePreferences = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(DEVICES_KEY)) || {};
+    return Object.fromEntries(
+      Object.keys(EMPTY_PREFERENCES).map((key) => [
+        key,
+        typeof stored[key] === "string" ? stored[key] : "",
+      ])
+    );
+  } catch (error) {
+    return { ...EMPTY_PREFERENCES };
+  }
+};
+
+export const saveDevicePreferences = (changes) => {
+  const preferences = { ...getDevicePreferences(), ...changes };
+  try {
+    localStorage.setItem(DEVICES_KEY, JSON.stringify(preferences));
+  } catch (error) {
+    // Storage unavailable; the choice lasts until reload
+  }
+  return preferences;
+};
@@ -0,0 +1,190 @@
+// Leveled, namespaced logger shared by the browser and the server.
+//
+//   const log = createLogger("peer");
+//   log.info("Connected", { peerId });
+//   log.error("Call failed", error);
+//
+// On the server every entry is one JSON line, filtered by LOG_LEVEL. In the
+// browser entries go to the console, filtered by a level that can be changed
+// at runtime (setLogLevel, or window.streamtalkLogs.setLevel from the dev
+// tools), and are kept in a ring buffer that downloadLogs() saves for bug
+// reports. Namespaces in use: signaling, peer, media, chat, ui.
+
+export const LOG_LEVELS = ["debug", "info", "warn", "error", "silent"];
+
+const isServer = typeof window === "undefined";
+const LEVEL_KEY = "streamtalk:log-level";
+const DEFAULT_LEVEL = isServer
+  ? process.env.LOG_LEVEL || "info"
+  : process.env.NEXT_PUBLIC_LOG_LEVEL ||
+    (process.env.NODE_ENV === "development" ? "debug" : "info");
+
+// Browser entries kept for downloadLogs(); 0 turns the buffer off
+const BUFFER_SIZE = Number(process.env.NEXT_PUBLIC_LOG_BUFFER_SIZE ?? 1000);
+
+const rank = (level) => LOG_LEVELS.indexOf(level);
+
+// Levels by namespace, "*" for every namespace without its own
+const loadLevels = () => {
+  if (!isServer) {
+    try {
+      const stored = JSON.parse(localStorage.getItem(LEVEL_KEY));
+      if (stored && typeof stored === "object") {
+        return { "*": DEFAULT_LEVEL, ...stored };
+      }
+    } catch (error) {
+      // Storage unavailable or unreadable; use the default
+    }
+  }
+  return { "*": DEFAULT_LEVEL };
+};
+
+const levels = loadLevels();
+const buffer = [];
+
+// Errors don't survive JSON.stringify, so keep the useful parts
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code && { code: error.code }),
+  stack: error.stack,
+});
+
+// Second argument is a fields object or an Error; errors inside fields are
+// serialized too
+const toFields = (details) => {
+  if (details === undefined || details === null) return {};
+  if (details instanceof Error) return { error: serializeError(details) };
+  if (typeof details !== "object" || Array.isArray(details)) {
+    return { details };
+  }
+  return Object.fromEntries(
+    Object.entries(details).map(([key, value]) => [
+      key,
+      value instanceof Error ? serializeError(value) : value,
+    ])
+  );
+};
+
+// Fields can hold anything (streams, DOM nodes, cycles); never let them
+// break logging
+const stringify = (entry) => {
+  try {
+    return JSON.stringify(entry);
+  } catch (error) {
+    const { time, level, namespace, message } = entry;
+    return JSON.stringify({
+      time,
+      level,
+      namespace,
+      message,
+      fieldsError: error.message,
+    });
+  }
+};
+
+const isEnabled = (namespace, level) =>
+  rank(level) >= rank(levels[namespace] || levels["*"]);
+
+const write = (namespace, level, message, details) => {
+  const fields = toFields(details);
+
+  if (!isServer && BUFFER_SIZE > 0) {
+    buffer.push({
+      time: new Date().toISOString(),
+      level,
+      namespace,
+      message,
+      ...fields,
+    });
+    if (buffer.length > BUFFER_SIZE) buffer.shift();
+  }
+
+  if (!isEnabled(namespace, level)) return;
+
+  if (isServer) {
+    const line = stringify({
+      time: new Date().toISOString(),
+      level,
+      namespace,
+      message,
+      ...fields,
+    });
+    (level === "error" || level === "warn" ? console.error : console.log)(line);
+    return;
+  }
+
+  const method = level === "debug" ? "log" : level;
+  const args = [`[${namespace}] ${message}`];
+  if (Object.keys(fields).length > 0) args.push(fields);
+  console[method](...args);
+};
+
+/**
+ * Logger for one part of the app
+ * @param {string} namespace - signaling, peer, media, chat, ...
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function}}
+ *   Each takes a message and an optional fields object or Error
+ */
+export const createLogger = (namespace) => ({
+  debug: (message, details) => write(namespace, "debug", message, details),
+  info: (message, details) => write(namespace, "info", message, details),
+  warn: (message, details) => write(namespace, "warn", message, details),
+  error: (message, details) => write(namespace, "error", message, details),
+});
+
+/**
+ * Change the console level, for everything or one namespace. In the browser
+ * the choice is remembered across reloads.
+ * @param {string} level - One of LOG_LEVELS
+ * @param {string} [namespace] - Only change this namespace
+ */
+export const setLogLevel = (level, namespace = "*") => {
+  if (!LOG_LEVELS.includes(level)) {
+    throw new Error(`Unknown log level "${level}"`);
+  }
+  levels[namespace] = level;
+
+  if (!isServer) {
+    try {
+      localStorage.setItem(LEVEL_KEY, JSON.stringify(levels));
+    } catch (error) {
+      // Storage unavailable; the level lasts until reload
+    }
+  }
+};
+
+export const getLogLevels = () => ({ ...levels });
+
+// Whether recent entries are kept for downloadLogs()
+export const isLogBufferEnabled = () => BUFFER_SIZE > 0;
+
+export const getLogEntries = () => [...buffer];
+
+// Save the buffered entries as a JSON Lines file
+export const downloadLogs = () => {
+  if (isServer) return;
+
+  const blob = new Blob(
+    buffer.map((entry) => `${stringify(entry)}\n`),
+    { type: "application/x-ndjson" }
+  );
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `streamtalk-logs-${new Date()
+    .toISOString()
+    .replace(/[:.]/g, "-")}.jsonl`;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Handles for the dev tools console
+if (!isServer) {
+  window.streamtalkLogs = {
+    setLevel: setLogLevel,
+    getLevels: getLogLevels,
+    entries: getLogEntries,
+    download: downloadLogs,
+  };
+}
@@ -0,0 +1,107 @@
+import { v4 as uuidv4 } from "uuid";
+
+// The name and avatar other people see for us, remembered in this browser
+// and sent with join-room so the server keeps them on our participant record
+const PROFILE_KEY = "streamtalk:profile";
+const CLIENT_ID_KEY = "streamtalk:client-id";
+
+export const MAX_DISPLAY_NAME_LENGTH = 50;
+
+// Avatar backgrounds to pick from; white initials read on all of them
+export const AVATAR_COLORS = [
+  "#8b5cf6",
+  "#ec4899",
+  "#ef4444",
+  "#f97316",
+  "#eab308",
+  "#22c55e",
+  "#14b8a6",
+  "#3b82f6",
+];
+
+const EMPTY_PROFILE = { displayName: "", avatarColor: "", initials: "" };
+
+// "Ada Lovelace" -> "AL", "cher" -> "C"
+export const getInitials = (name = "") =>
+  name
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map((word) => word[0])
+    .join("")
+    .toUpperCase();
+
+// Same id, same color, for people who haven't picked one
+export const getDefaultAvatarColor = (id = "") => {
+  const hash = [...id].reduce(
+    (sum, char) => (sum * 31 + char.charCodeAt(0)) >>> 0,
+    0
+  );
+  return AVATAR_COLORS[hash % AVATAR_COLORS.length];
+};
+
+// Name to show for a participant or player, falling back to their id
+export const getDisplayName = (person, id = "") =>
+  person?.displayName || `User ${id.slice(0, 6)}`;
+
+// Avatar for a participant or player, filling in what they left blank
+export const getAvatar = (person, id = "") => ({
+  color: person?.avatarColor || getDefaultAvatarColor(id),
+  initials:
+    person?.initials ||
+    getInitials(person?.displayName || "") ||
+    id.slice(0, 2).toUpperCase(),
+});
+
+const normalizeProfile = (profile = {}) => ({
+  displayName: String(profile.displayName || "")
+    .trim()
+    .slice(0, MAX_DISPLAY_NAME_LENGTH),
+  avatarColor: AVATAR_COLORS.includes(profile.avatarColor)
+    ? profile.avatarColor
+    : "",
+  initials: String(profile.initials || "")
+    .trim()
+    .slice(0, 2)
+    .toUpperCase(),
+});
+
+export const getProfile = () => {
+  try {
+    return normalizeProfile(
+      JSON.parse(localStorage.getItem(PROFILE_KEY)) || {}
+    );
+  } catch (error) {
+    return { ...EMPTY_PROFILE };
+  }
+};
+
+export const saveProfile = (profile) => {
+  const normalized = normalizeProfile(profile);
+  try {
+    localStorage.setItem(PROFILE_KEY, JSON.stringify(normalized));
+  } catch (error) {
+    // Storage unavailable; the profile lasts until reload
+  }
+  return normalized;
+};
+
+// Identifies this browser across peer ids, so rejoining after a reload
+// replaces our old entry in the room instead of sitting next to it
+let clientId = null;
+
+export const getClientId = () => {
+  if (clientId) return clientId;
+  try {
+    clientId = localStorage.getItem(CLIENT_ID_KEY);
+    if (!clientId) {
+      clientId = uuidv4();
+      localStorage.setItem(CLIENT_ID_KEY, clientId);
+    }
+  } catch (error) {
+    // Storage unavailable; the id lasts until reload
+    clientId ||= uuidv4();
+  }
+  return clientId;
+};
@@ -0,0 +1,46 @@
+// Room passwords are remembered for the browser tab, so the creator isn't
+// asked for the password they just set and reloads don't prompt again
+const passwordKey = (roomId) => `streamtalk:room-password:${roomId}`;
+
+export const getRoomPassword = (roomId) => {
+  try {
+    return sessionStorage.getItem(passwordKey(roomId)) || undefined;
+  } catch (error) {
+    return undefined;
+  }
+};
+
+export const setRoomPassword = (roomId, password) => {
+  try {
+    if (password) {
+      sessionStorage.setItem(passwordKey(roomId), password);
+    } else {
+      sessionStorage.removeItem(passwordKey(roomId));
+    }
+  } catch (error) {
+    // Storage unavailable (private mode); the user will be prompted instead
+  }
+};
+
+// The host key from create-room lets the creator join (and rejoin) as host
+const hostKeyKey = (roomId) => `streamtalk:host-key:${roomId}`;
+
+export const getHostKey = (roomId) => {
+  try {
+    return sessionStorage.getItem(hostKeyKey(roomId)) || undefined;
+  } catch (error) {
+    return undefined;
+  }
+};
+
+export const setHostKey = (roomId, hostKey) => {
+  try {
+    if (hostKey) {
+      sessionStorage.setItem(hostKeyKey(roomId), hostKey);
+    } else {
+      sessionStorage.removeItem(hostKeyKey(roomId));
+    }
+  } catch (error) {
+    // Storage unavailable; the creator joins as a regular participant
+  }
+};
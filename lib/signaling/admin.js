@@ -0,0 +1,110 @@
+import { createHash, timingSafeEqual } from "node:crypto";
+import {
+  getRoomCapacity,
+  getWaitingList,
+  toParticipant,
+} from "@/lib/signaling/room-state";
+import { rateLimitRequest } from "@/lib/signaling/rate-limit";
+
+// Compare digests so the check takes the same time whatever the token length
+const digest = (value) => createHash("sha256").update(String(value)).digest();
+
+/**
+ * Whether a request carries `Authorization: Bearer <expected>`, compared in
+ * constant time
+ * @param {Request} request - Incoming request
+ * @param {string} expected - Token the caller must present
+ * @returns {boolean}
+ */
+export const hasBearerToken = (request, expected) => {
+  const [scheme, token] = (request.headers.get("authorization") || "").split(
+    " "
+  );
+  return (
+    scheme === "Bearer" &&
+    Boolean(token) &&
+    timingSafeEqual(digest(token), digest(expected))
+  );
+};
+
+/**
+ * Check an admin API request carries `Authorization: Bearer <ADMIN_TOKEN>`.
+ * The admin API is off entirely until ADMIN_TOKEN is set.
+ * @param {Request} request - Incoming request
+ * @returns {Promise<Response|null>} An error response, or null when
+ *   authorized
+ */
+export const authorizeAdmin = async (request) => {
+  const limited = await rateLimitRequest(request);
+  if (limited) return limited;
+
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken) {
+    return Response.json(
+      { error: "Admin API is disabled", code: "admin-disabled" },
+      { status: 404 }
+    );
+  }
+
+  if (!hasBearerToken(request, adminToken)) {
+    return Response.json(
+      { error: "Invalid admin token", code: "unauthorized" },
+      { status: 401, headers: { "WWW-Authenticate": "Bearer" } }
+    );
+  }
+
+  return null;
+};
+
+// Session as shown to admins; the resume token stays on the server
+export const toAdminSession = (session, now = Date.now()) => ({
+  id: session.id,
+  userId: session.userId,
+  roomId: session.roomId,
+  createdAt: session.createdAt ?? null,
+  lastSeen: session.lastSeen,
+  ageMs: session.createdAt ? now - session.createdAt : null,
+  idleMs: now - session.lastSeen,
+});
+
+// One line of the room list
+export const toAdminRoomSummary = (room, now = Date.now()) => ({
+  id: room.id,
+  createdAt: room.createdAt,
+  ageMs: now - room.createdAt,
+  participantCount: room.users.length,
+  waitingCount: getWaitingList(room).length,
+  maxParticipants: getRoomCapacity(room),
+  hasPassword: Boolean(room.passwordHash),
+  lobbyEnabled: Boolean(room.lobbyEnabled),
+  locked: Boolean(room.locked),
+});
+
+// Room detail: everyone in it with their session, plus the lobby. The
+// password hash and host key never leave the server.
+export const toAdminRoom = (room, sessions, now = Date.now()) => {
+  const sessionsById = new Map(
+    sessions.map((session) => [session.id, session])
+  );
+  const sessionFor = (sessionId) => {
+    const session = sessionsById.get(sessionId);
+    return session ? toAdminSession(session, now) : null;
+  };
+
+  return {
+    ...toAdminRoomSummary(room, now),
+    participants: room.users.map((user) => ({
+      ...toParticipant(user),
+      session: sessionFor(user.sessionId),
+    })),
+    waiting: (room.waiting || []).map(
+      ({ id, sessionId, displayName, requestedAt, admitted }) => ({
+        id,
+        displayName,
+        requestedAt,
+        admitted: Boolean(admitted),
+        session: sessionFor(sessionId),
+      })
+    ),
+  };
+};
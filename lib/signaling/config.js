@@ -0,0 +1,80 @@
+import { DEFAULT_CLIENT_CONFIG } from "@/lib/client-config";
+import { createLogger } from "@/lib/logger";
+
+const log = createLogger("signaling");
+
+// A whole number from the environment; anything unset or invalid (with a
+// warning) falls back to the default
+const readInteger = (name, fallback, min = 0) => {
+  const raw = process.env[name];
+  if (raw === undefined || raw === "") return fallback;
+
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < min) {
+    log.warn(`Ignoring ${name}, expected a whole number of at least ${min}`, {
+      value: raw,
+    });
+    return fallback;
+  }
+  return value;
+};
+
+/**
+ * Signaling server settings, read once from the environment. Times are in
+ * milliseconds.
+ */
+export const serverConfig = {
+  // A session that misses heartbeats this long belongs to a tab that is gone
+  sessionTimeoutMs: readInteger("SESSION_TIMEOUT_MS", 60 * 1000, 1000),
+  // How often expired sessions, idle rooms and old events are cleaned up
+  cleanupIntervalMs: readInteger(
+    "SESSION_CLEANUP_INTERVAL_MS",
+    15 * 1000,
+    1000
+  ),
+  // Rooms created ahead of time are dropped if nobody joins within this
+  emptyRoomTtlMs: readInteger("EMPTY_ROOM_TTL_MS", 60 * 60 * 1000, 1000),
+  // How often an open event stream touches its session
+  streamHeartbeatMs: readInteger("STREAM_HEARTBEAT_MS", 15 * 1000, 1000),
+  // Reverse proxies in front of the app whose X-Forwarded-For we believe
+  trustedProxies: readInteger("TRUST_PROXY", 0),
+};
+
+// Sessions on an event stream only stay alive through its heartbeat
+if (serverConfig.sessionTimeoutMs <= serverConfig.streamHeartbeatMs * 2) {
+  log.warn(
+    "SESSION_TIMEOUT_MS should be well above STREAM_HEARTBEAT_MS, or live sessions will expire",
+    {
+      sessionTimeoutMs: serverConfig.sessionTimeoutMs,
+      streamHeartbeatMs: serverConfig.streamHeartbeatMs,
+    }
+  );
+}
+
+/**
+ * Timings served to browsers by /api/config, with the same keys as
+ * DEFAULT_CLIENT_CONFIG
+ */
+export const clientConfig = {
+  pollIntervalMs: readInteger(
+    "POLL_INTERVAL_MS",
+    DEFAULT_CLIENT_CONFIG.pollIntervalMs,
+    250
+  ),
+  reconnectDelayMs: readInteger(
+    "RECONNECT_DELAY_MS",
+    DEFAULT_CLIENT_CONFIG.reconnectDelayMs
+  ),
+  maxReconnectAttempts: readInteger(
+    "RECONNECT_MAX_ATTEMPTS",
+    DEFAULT_CLIENT_CONFIG.maxReconnectAttempts
+  ),
+  maxRateLimitRetries: readInteger(
+    "RATE_LIMIT_MAX_RETRIES",
+    DEFAULT_CLIENT_CONFIG.maxRateLimitRetries
+  ),
+  peerRetryDelayMs: readInteger(
+    "PEER_RETRY_DELAY_MS",
+    DEFAULT_CLIENT_CONFIG.peerRetryDelayMs
+  ),
+};
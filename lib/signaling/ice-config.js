@@ -0,0 +1,82 @@
+import { createHmac } from "node:crypto";
+import { createLogger } from "@/lib/logger";
+
+const log = createLogger("signaling");
+
+// Used when ICE_SERVERS is not set
+const DEFAULT_ICE_SERVERS = [
+  { urls: "stun:stun.l.google.com:19302" },
+  { urls: "stun:stun1.l.google.com:19302" },
+  { urls: "stun:stun2.l.google.com:19302" },
+  { urls: "stun:stun3.l.google.com:19302" },
+  { urls: "stun:stun4.l.google.com:19302" },
+  // Additional STUN servers for better connectivity
+  { urls: "stun:stun.ekiga.net" },
+  { urls: "stun:stun.ideasip.com" },
+];
+
+// Anyone holding credentials can relay through our TURN server until they
+// expire, so they are kept short; clients fetch new ones before then
+const DEFAULT_TURN_TTL = 60 * 60;
+
+const parseIceServers = () => {
+  if (!process.env.ICE_SERVERS) return DEFAULT_ICE_SERVERS;
+
+  try {
+    const servers = JSON.parse(process.env.ICE_SERVERS);
+    if (Array.isArray(servers)) return servers;
+  } catch (error) {
+    log.error("Invalid ICE_SERVERS, using defaults", error);
+  }
+  return DEFAULT_ICE_SERVERS;
+};
+
+/**
+ * Short-lived TURN credentials in the coturn REST API format
+ * (use-auth-secret / static-auth-secret): the username carries its expiry
+ * time and the password is an HMAC-SHA1 of it with the shared secret.
+ * @param {string} secret - Shared secret configured on the TURN server
+ * @param {string} userId - Label appended to the username
+ * @param {number} ttl - Lifetime in seconds
+ * @returns {Object} { username, credential, expiresAt }
+ */
+export const createTurnCredentials = (secret, userId, ttl) => {
+  const expiresAt = Math.floor(Date.now() / 1000) + ttl;
+  const username = `${expiresAt}:${userId}`;
+  const credential = createHmac("sha1", secret)
+    .update(username)
+    .digest("base64");
+
+  return { username, credential, expiresAt };
+};
+
+/**
+ * RTCConfiguration fields handed to clients before they create their peer
+ * @param {string} userId - Who the TURN credentials are issued to
+ * @returns {Object} { iceServers, iceTransportPolicy, ttl }
+ */
+export const getIceConfig = (userId = "streamtalk") => {
+  const iceServers = [...parseIceServers()];
+  const ttl = Number(process.env.TURN_CREDENTIAL_TTL) || DEFAULT_TURN_TTL;
+  const turnUrls = (process.env.TURN_URLS || "")
+    .split(",")
+    .map((url) => url.trim())
+    .filter(Boolean);
+
+  if (turnUrls.length > 0 && process.env.TURN_SECRET) {
+    const { username, credential } = createTurnCredentials(
+      process.env.TURN_SECRET,
+      userId,
+      ttl
+    );
+    iceServers.push({ urls: turnUrls, username, credential });
+  }
+
+  return {
+    iceServers,
+    // "relay" forces traffic through TURN, handy for testing the TURN setup
+    iceTransportPolicy:
+      process.env.ICE_TRANSPORT_POLICY === "relay" ? "relay" : "all",
+    ttl,
+  };
+};
@@ -0,0 +1,200 @@
+import { getSharedState } from "@/lib/signaling/shared-state";
+
+// Metrics registry for the signaling server, rendered by /api/metrics in the
+// Prometheus text format. Series are keyed by metric name.
+const registry = getSharedState("metrics", () => new Map());
+
+// Request latency buckets, in seconds
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+const escapeLabelValue = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${escapeLabelValue(value)}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+};
+
+// One series per distinct set of label values
+class Metric {
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  getSeries(labels, create) {
+    const values = this.labelNames.map((name) => String(labels[name] ?? ""));
+    const key = JSON.stringify(values);
+    if (!this.series.has(key)) {
+      const seriesLabels = Object.fromEntries(
+        this.labelNames.map((name, index) => [name, values[index]])
+      );
+      this.series.set(key, { labels: seriesLabels, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  header(type) {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${type}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super(name, help, labelNames);
+    // Unlabelled counters start at 0 so they show up before the first event
+    if (this.labelNames.length === 0) this.inc({}, 0);
+  }
+
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+
+  render() {
+    return [
+      ...this.header("counter"),
+      ...[...this.series.values()].map(
+        ({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`
+      ),
+    ];
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = LATENCY_BUCKETS) {
+    super(name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  observe(labels = {}, value) {
+    const series = this.getSeries(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index] += 1;
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  render() {
+    const lines = this.header("histogram");
+    this.series.forEach(({ labels, counts, sum, count }) => {
+      this.buckets.forEach((bound, index) => {
+        lines.push(
+          `${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${
+            counts[index]
+          }`
+        );
+      });
+      lines.push(
+        `${this.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`
+      );
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    });
+    return lines;
+  }
+}
+
+// Read at scrape time rather than tracked, so it can never drift from the
+// store
+class Gauge extends Metric {
+  constructor(name, help, collect) {
+    super(name, help);
+    this.collect = collect;
+  }
+
+  async render() {
+    return [...this.header("gauge"), `${this.name} ${await this.collect()}`];
+  }
+}
+
+const getOrCreate = (name, create) => {
+  if (!registry.has(name)) registry.set(name, create());
+  return registry.get(name);
+};
+
+/**
+ * Register a gauge whose value is read when metrics are scraped
+ * @param {string} name - Metric name
+ * @param {string} help - HELP text
+ * @param {Function} collect - Returns (or resolves to) the current value
+ */
+export const registerGauge = (name, help, collect) => {
+  getOrCreate(name, () => new Gauge(name, help, collect)).collect = collect;
+};
+
+export const apiRequests = getOrCreate(
+  "streamtalk_api_requests_total",
+  () =>
+    new Counter(
+      "streamtalk_api_requests_total",
+      "Signaling API requests by method, action and HTTP status",
+      ["method", "action", "status"]
+    )
+);
+
+export const apiRequestDuration = getOrCreate(
+  "streamtalk_api_request_duration_seconds",
+  () =>
+    new Histogram(
+      "streamtalk_api_request_duration_seconds",
+      "Signaling API request latency by method and action",
+      ["method", "action"]
+    )
+);
+
+export const joins = getOrCreate(
+  "streamtalk_joins_total",
+  () =>
+    new Counter(
+      "streamtalk_joins_total",
+      "Room joins: new, rejoin (new session for someone already in), resumed or waiting (sent to the lobby)",
+      ["kind"]
+    )
+);
+
+export const sessionTimeouts = getOrCreate(
+  "streamtalk_session_timeouts_total",
+  () =>
+    new Counter(
+      "streamtalk_session_timeouts_total",
+      "Sessions expired by cleanup after missing their heartbeats"
+    )
+);
+
+/**
+ * Count and time one API request
+ * @param {string} method - HTTP method
+ * @param {string} action - API action; unknown actions share one label
+ * @param {number} status - Response status
+ * @param {number} startedAt - performance.now() when the request arrived
+ */
+export const recordApiRequest = (method, action, status, startedAt) => {
+  apiRequests.inc({ method, action, status });
+  apiRequestDuration.observe(
+    { method, action },
+    (performance.now() - startedAt) / 1000
+  );
+};
+
+/**
+ * Every registered metric in the Prometheus text exposition format
+ * @returns {Promise<string>}
+ */
+export const renderMetrics = async () => {
+  const blocks = await Promise.all(
+    [...registry.values()].map((metric) => metric.render())
+  );
+  return `${blocks.map((lines) => lines.join("\n")).join("\n")}\n`;
+};
@@ -0,0 +1,31 @@
+import { randomBytes, scrypt, timingSafeEqual } from "node:crypto";
+import { promisify } from "node:util";
+
+const scryptAsync = promisify(scrypt);
+const KEY_LENGTH = 64;
+
+/**
+ * Hash a room password for storage
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} "scrypt$<salt>$<hash>", both hex encoded
+ */
+export const hashPassword = async (password) => {
+  const salt = randomBytes(16).toString("hex");
+  const hash = await scryptAsync(String(password), salt, KEY_LENGTH);
+  return `scrypt$${salt}$${hash.toString("hex")}`;
+};
+
+/**
+ * Check a password against a stored hash in constant time
+ * @param {string} password - Plain text password to check
+ * @param {string} stored - Value produced by hashPassword
+ * @returns {Promise<boolean>}
+ */
+export const verifyPassword = async (password, stored) => {
+  const [scheme, salt, hash] = String(stored).split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, "hex");
+  const actual = await scryptAsync(String(password), salt, expected.length);
+  return timingSafeEqual(expected, actual);
+};
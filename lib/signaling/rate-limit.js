@@ -0,0 +1,119 @@
+import { serverConfig } from "@/lib/signaling/config";
+import { getSharedState } from "@/lib/signaling/shared-state";
+import { getStore } from "@/lib/signaling/storage";
+
+// Token-bucket rate limits for the signaling API, one bucket per key
+const buckets = getSharedState("rate-limits", () => new Map());
+
+// Each bucket holds up to `capacity` requests and refills continuously
+const LIMITS = {
+  // Everything from one address; signaling bursts ICE candidates
+  ip: { capacity: 120, refillPerSecond: 30 },
+  // Everything from one joined session
+  session: { capacity: 60, refillPerSecond: 20 },
+  // Creating rooms and sessions is what fills the store, so it gets a much
+  // smaller budget per address
+  join: { capacity: 10, refillPerSecond: 0.2 },
+  // Opening event streams
+  stream: { capacity: 20, refillPerSecond: 0.5 },
+  // Joins and streams from clients whose address we don't know share one
+  // budget for the whole server, roomier than a single address gets
+  anonymousJoin: { capacity: 60, refillPerSecond: 1 },
+  anonymousStream: { capacity: 120, refillPerSecond: 2 },
+};
+
+const JOIN_ACTIONS = ["create-room", "join-room"];
+
+// Every bucket is full again long before this, so idle ones can be dropped
+const IDLE_BUCKET_TTL = 10 * 60 * 1000;
+
+// Take one token; returns 0 when allowed, or the seconds until one is free
+const takeToken = (key, { capacity, refillPerSecond }) => {
+  const now = Date.now();
+  const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now };
+
+  const elapsed = (now - bucket.updatedAt) / 1000;
+  bucket.tokens = Math.min(capacity, bucket.tokens + elapsed * refillPerSecond);
+  bucket.updatedAt = now;
+  buckets.set(key, bucket);
+
+  if (bucket.tokens < 1) {
+    return Math.ceil((1 - bucket.tokens) / refillPerSecond);
+  }
+  bucket.tokens -= 1;
+  return 0;
+};
+
+// Client address, as recorded by the trusted proxies in front of us. Each
+// proxy appends the address it was reached from, so with n of them the
+// client is the nth entry from the end; anything before that was written
+// by the client. Without a trusted proxy the headers prove nothing and the
+// address is unknown.
+const getClientIp = (request) => {
+  const hops = serverConfig.trustedProxies;
+  if (hops === 0) return null;
+
+  const forwarded = (request.headers.get("x-forwarded-for") || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+  return (
+    forwarded[forwarded.length - hops] ||
+    request.headers.get("x-real-ip") ||
+    null
+  );
+};
+
+/**
+ * Apply the per-IP and per-session limits to a signaling request
+ * @param {Request} request - Incoming request, for the client address
+ * @param {Object} options
+ * @param {string} [options.action] - API action, or "stream" for SSE
+ * @param {string} [options.sessionId] - Session making the request
+ * @returns {Promise<Response|null>} A 429 response with Retry-After, or
+ *   null when the request may go ahead
+ */
+export const rateLimitRequest = async (request, { action, sessionId } = {}) => {
+  const ip = getClientIp(request);
+  const checks = [];
+  // Session ids come from the client, so only one the store knows gets a
+  // bucket; made-up ids would each start a fresh one
+  if (sessionId && (await getStore().getSession(sessionId))) {
+    checks.push([`session:${sessionId}`, LIMITS.session]);
+  }
+  // Sharing one general bucket between every client would throttle them
+  // all together, so that one needs an address we can believe
+  if (ip) checks.push([`ip:${ip}`, LIMITS.ip]);
+  if (JOIN_ACTIONS.includes(action)) {
+    checks.push(
+      ip ? [`join:${ip}`, LIMITS.join] : ["join", LIMITS.anonymousJoin]
+    );
+  }
+  if (action === "stream") {
+    checks.push(
+      ip ? [`stream:${ip}`, LIMITS.stream] : ["stream", LIMITS.anonymousStream]
+    );
+  }
+
+  for (const [key, limit] of checks) {
+    const retryAfter = takeToken(key, limit);
+    if (retryAfter > 0) {
+      return Response.json(
+        { error: "Too many requests", code: "rate-limited", retryAfter },
+        { status: 429, headers: { "Retry-After": String(retryAfter) } }
+      );
+    }
+  }
+
+  return null;
+};
+
+// Forget buckets that have gone quiet
+export const pruneRateLimits = () => {
+  const now = Date.now();
+  buckets.forEach((bucket, key) => {
+    if (now - bucket.updatedAt > IDLE_BUCKET_TTL) {
+      buckets.delete(key);
+    }
+  });
+};
@@ -0,0 +1,195 @@
+import { createLogger } from "@/lib/logger";
+import { getEventBus } from "@/lib/signaling/storage";
+import { getSharedState } from "@/lib/signaling/shared-state";
+
+const log = createLogger("signaling");
+
+// Listeners and recent history of every room, for the signaling route
+// handlers and event streams
+const state = getSharedState("room-events", () => ({
+  listeners: new Map(),
+  logs: new Map(),
+  lastEventId: 0,
+  listening: false,
+}));
+
+// Events older than this, or beyond this many per room, are dropped. The
+// count leaves room for SDP/ICE signals when calls go through our own route.
+const MAX_EVENT_AGE = 2 * 60 * 1000;
+const MAX_EVENTS_PER_ROOM = 500;
+
+// Drop expired events from a room log, remembering the newest dropped id so
+// readers with an older cursor know they missed something
+const trimRoomLog = (roomId, now = Date.now()) => {
+  const log = state.logs.get(roomId);
+  if (!log) return;
+
+  let dropCount = log.events.findIndex(
+    (event) => now - event.timestamp <= MAX_EVENT_AGE
+  );
+  if (dropCount === -1) dropCount = log.events.length;
+  dropCount = Math.max(dropCount, log.events.length - MAX_EVENTS_PER_ROOM);
+
+  if (dropCount > 0) {
+    log.trimmedThrough = log.events[dropCount - 1].id;
+    log.events = log.events.slice(dropCount);
+  }
+
+  if (log.events.length === 0 && !state.listeners.has(roomId)) {
+    state.logs.delete(roomId);
+  }
+};
+
+/**
+ * Whether a user should receive an event: never their own, and targeted
+ * events (payload.targetUserId) only when addressed to them
+ * @param {Object} event - Stored event
+ * @param {string} userId - Receiving user
+ * @returns {boolean}
+ */
+export const isEventFor = ({ payload }, userId) => {
+  if (payload.userId === userId) return false;
+  return !payload.targetUserId || payload.targetUserId === userId;
+};
+
+// Add an event to the room log and push it to everyone subscribed here
+const deliver = (roomId, entry) => {
+  if (!state.logs.has(roomId)) {
+    state.logs.set(roomId, { events: [], trimmedThrough: 0 });
+  }
+  state.logs.get(roomId).events.push(entry);
+  state.lastEventId = Math.max(state.lastEventId, entry.id);
+  trimRoomLog(roomId, entry.timestamp);
+
+  const roomListeners = state.listeners.get(roomId);
+  if (roomListeners) {
+    roomListeners.forEach((listener) => {
+      try {
+        listener(entry);
+      } catch (error) {
+        log.error("Room event listener failed", {
+          roomId,
+          event: entry.event,
+          error,
+        });
+      }
+    });
+  }
+};
+
+// With a store shared between instances, events go through its bus and
+// are only delivered here when they come back, like everyone else's.
+// Nothing connects until events are first used, so builds don't.
+const getBus = () => {
+  const bus = getEventBus();
+  if (bus && !state.listening) {
+    state.listening = true;
+    bus.listen(deliver);
+  }
+  return bus;
+};
+
+/**
+ * Subscribe to events published for a room
+ * @param {string} roomId - Room to listen to
+ * @param {Function} listener - Called with { id, event, payload, timestamp }
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToRoom = (roomId, listener) => {
+  getBus();
+  if (!state.listeners.has(roomId)) {
+    state.listeners.set(roomId, new Set());
+  }
+  state.listeners.get(roomId).add(listener);
+
+  return () => {
+    const roomListeners = state.listeners.get(roomId);
+    if (!roomListeners) return;
+    roomListeners.delete(listener);
+    if (roomListeners.size === 0) {
+      state.listeners.delete(roomId);
+    }
+  };
+};
+
+/**
+ * Record an event in the room log and push it to everyone subscribed, on
+ * every instance when there are several
+ * @param {string} roomId - Room the event belongs to
+ * @param {string} event - Event name (user-connected, user-leave, ...)
+ * @param {Object} payload - Event data, usually containing the userId
+ */
+export const publishRoomEvent = (roomId, event, payload = {}) => {
+  const bus = getBus();
+  if (bus) {
+    bus.publish(roomId, event, payload).catch((error) => {
+      log.error("Publishing room event failed", { roomId, event, error });
+    });
+    return;
+  }
+
+  deliver(roomId, {
+    id: state.lastEventId + 1,
+    event,
+    payload,
+    timestamp: Date.now(),
+  });
+};
+
+/**
+ * Read the events published in a room after a cursor
+ * @param {string} roomId - Room to read
+ * @param {number} cursor - Id of the last event the reader has seen
+ * @returns {Object} { events, cursor, reset } where reset means events
+ *   after the cursor were trimmed and the reader should resync its state
+ */
+export const getRoomEventsSince = (roomId, cursor = 0) => {
+  getBus();
+  trimRoomLog(roomId);
+  const log = state.logs.get(roomId);
+
+  if (!log) {
+    return { events: [], cursor: state.lastEventId, reset: false };
+  }
+
+  const events = log.events.filter((event) => event.id > cursor);
+  return {
+    events,
+    cursor:
+      events.length > 0
+        ? events[events.length - 1].id
+        : Math.max(cursor, state.lastEventId),
+    reset: cursor < log.trimmedThrough,
+  };
+};
+
+/**
+ * Find the event that took a user out of a room after a cursor: the room
+ * ending, or a kick addressed to them. Read when their session is already
+ * gone, so a client that missed it still learns why instead of rejoining.
+ * @param {string} roomId - Room the user was in
+ * @param {string} userId - User whose session ended
+ * @param {number} cursor - Id of the last event the user has seen
+ * @returns {Object|null} The stored event, or null if there is none
+ */
+export const getRemovalEvent = (roomId, userId, cursor = 0) => {
+  const { events } = getRoomEventsSince(roomId, cursor);
+  return (
+    events.findLast(
+      (entry) =>
+        isEventFor(entry, userId) &&
+        ["room-ended", "user-kicked"].includes(entry.event)
+    ) || null
+  );
+};
+
+// Current position of the event stream, handed to clients when they join
+export const getLatestEventId = () => state.lastEventId;
+
+// Trim every room log; run periodically so idle rooms don't keep history
+export const pruneRoomEvents = () => {
+  const now = Date.now();
+  for (const roomId of [...state.logs.keys()]) {
+    trimRoomLog(roomId, now);
+  }
+};
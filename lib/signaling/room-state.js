@@ -0,0 +1,489 @@
+import { randomBytes } from "node:crypto";
+import { publishRoomEvent } from "@/lib/signaling/room-events";
+import { getStore } from "@/lib/signaling/storage";
+import { sendWebhook } from "@/lib/signaling/webhooks";
+import { sessionTimeouts } from "@/lib/signaling/metrics";
+import { serverConfig } from "@/lib/signaling/config";
+
+const toBoolean = (value) => value === true || value === "true";
+const toTrimmed = (length) => (value) => String(value).trim().slice(0, length);
+
+// Participant fields a client may set, with how each value is normalized
+const PARTICIPANT_FIELDS = {
+  audioEnabled: toBoolean,
+  videoEnabled: toBoolean,
+  screenSharing: toBoolean,
+  handRaised: toBoolean,
+  displayName: toTrimmed(50),
+  // Avatar color is a #rrggbb hex; anything else falls back to the default
+  avatarColor: (value) =>
+    /^#[0-9a-f]{6}$/i.test(String(value)) ? String(value) : "",
+  initials: (value) => toTrimmed(2)(value).toUpperCase(),
+};
+
+// Pick the known participant fields out of untrusted input
+export const normalizeParticipantState = (changes = {}) => {
+  const normalized = {};
+  Object.entries(PARTICIPANT_FIELDS).forEach(([field, normalize]) => {
+    if (changes[field] !== undefined && changes[field] !== null) {
+      normalized[field] = normalize(changes[field]);
+    }
+  });
+  return normalized;
+};
+
+// Hosts can moderate and end the room; co-hosts can moderate everyone but
+// the host
+export const ROLES = ["host", "co-host", "participant"];
+
+export const isModerator = (participant) =>
+  participant?.role === "host" || participant?.role === "co-host";
+
+// Room entry for a user, holding the explicit state everyone else renders.
+// The client id identifies the browser across peer ids (see joinRoom).
+export const createParticipant = (
+  userId,
+  sessionId,
+  initialState = {},
+  role = "participant",
+  clientId = null
+) => ({
+  id: userId,
+  sessionId,
+  clientId,
+  role,
+  joinedAt: Date.now(),
+  audioEnabled: true,
+  videoEnabled: false,
+  screenSharing: false,
+  handRaised: false,
+  displayName: "",
+  avatarColor: "",
+  initials: "",
+  ...normalizeParticipantState(initialState),
+});
+
+// Public view of a participant. Session and client ids never leave the
+// server, since either would let someone else take over the entry.
+export const toParticipant = ({ sessionId, clientId, ...participant }) =>
+  participant;
+
+// Every participant calls every other one directly, so call quality drops
+// quickly as rooms grow. ROOM_MAX_PARTICIPANTS sets the default capacity and
+// rooms can ask for a different one (up to MAX_ROOM_CAPACITY) when created.
+export const MAX_ROOM_CAPACITY = 50;
+export const DEFAULT_MAX_PARTICIPANTS =
+  Number(process.env.ROOM_MAX_PARTICIPANTS) || 6;
+
+// New room record; password-protected rooms carry only the password hash.
+// The host key is handed to the creator so they join as host. Lobby rooms
+// hold joiners in `waiting` until a host or co-host admits them.
+export const createRoomRecord = (
+  roomId,
+  {
+    passwordHash = null,
+    hostKey = null,
+    lobbyEnabled = false,
+    maxParticipants = null,
+  } = {}
+) => ({
+  id: roomId,
+  users: [],
+  waiting: [],
+  createdAt: Date.now(),
+  passwordHash,
+  hostKey,
+  lobbyEnabled,
+  locked: false,
+  maxParticipants,
+});
+
+// Rooms without their own capacity follow the current default
+export const getRoomCapacity = (room) =>
+  room.maxParticipants || DEFAULT_MAX_PARTICIPANTS;
+
+// Participants plus people admitted from the lobby who have yet to join,
+// since their place is already promised
+export const isRoomFull = (room) =>
+  room.users.length +
+    (room.waiting || []).filter((entry) => entry.admitted).length >=
+  getRoomCapacity(room);
+
+// Room settings that are safe to show to participants
+export const toRoomInfo = (room) => ({
+  id: room.id,
+  hasPassword: Boolean(room.passwordHash),
+  lobbyEnabled: Boolean(room.lobbyEnabled),
+  locked: Boolean(room.locked),
+  maxParticipants: getRoomCapacity(room),
+});
+
+// People still waiting for a decision, as shown to hosts. Admitted entries
+// stay on the record until their owner actually joins.
+export const getWaitingList = (room) =>
+  (room.waiting || [])
+    .filter((entry) => !entry.admitted)
+    .map(({ id, displayName, avatarColor, initials, requestedAt }) => ({
+      id,
+      displayName,
+      avatarColor,
+      initials,
+      requestedAt,
+    }));
+
+// Tell the room who is waiting in the lobby
+export const publishLobbyUpdate = (room, userId) => {
+  publishRoomEvent(room.id, "lobby-updated", {
+    userId,
+    waiting: getWaitingList(room),
+  });
+};
+
+// Lifecycle webhooks, for billing and logging on the application backend
+export const notifyRoomCreated = (room) => {
+  sendWebhook("room-created", {
+    roomId: room.id,
+    createdAt: new Date(room.createdAt).toISOString(),
+    ...toRoomInfo(room),
+  });
+};
+
+export const notifyParticipantJoined = (room, participant) => {
+  sendWebhook("participant-joined", {
+    roomId: room.id,
+    userId: participant.id,
+    role: participant.role,
+    participantCount: room.users.length,
+  });
+};
+
+// reason is "left", "removed", "timeout", "replaced" (rejoined from the
+// same browser under a new id), or how the room ended for everyone still in
+// it then ("ended" or "closed")
+const notifyParticipantLeft = (room, userId, reason) => {
+  sendWebhook("participant-left", {
+    roomId: room.id,
+    userId,
+    reason,
+    participantCount: room.users.length,
+  });
+};
+
+// reason is "ended" (by the host), "closed" (by an admin), "empty" (the
+// last person left) or "expired" (created but never joined)
+const notifyRoomEnded = (room, reason) => {
+  const endedAt = Date.now();
+  sendWebhook("room-ended", {
+    roomId: room.id,
+    reason,
+    createdAt: new Date(room.createdAt).toISOString(),
+    endedAt: new Date(endedAt).toISOString(),
+    durationMs: endedAt - room.createdAt,
+  });
+};
+
+// Find a session and check it belongs to this user in this room
+export const getRoomSession = async (sessionId, roomId, userId) => {
+  if (!sessionId) return null;
+  const session = await getStore().getSession(sessionId);
+  if (!session || session.roomId !== roomId || session.userId !== userId) {
+    return null;
+  }
+  return session;
+};
+
+/**
+ * Apply state changes to a participant in a room
+ * @param {string} roomId - Room the participant is in
+ * @param {string} userId - Participant to update
+ * @param {Object} changes - Partial participant state
+ * @returns {Promise<Object|null>} The updated public participant, or null if
+ *   the user is not in the room
+ */
+export const updateParticipant = async (roomId, userId, changes) => {
+  let participant = null;
+  await getStore().updateRoom(roomId, (room) => {
+    const user = room?.users.find((user) => user.id === userId);
+    participant = null;
+    if (!user) return;
+
+    Object.assign(user, normalizeParticipantState(changes));
+    participant = toParticipant(user);
+    return room;
+  });
+  return participant;
+};
+
+/**
+ * Change a participant's role; roles are never taken from client state
+ * @param {string} roomId - Room the participant is in
+ * @param {string} userId - Participant to update
+ * @param {string} role - One of ROLES
+ * @returns {Promise<Object|null>} The updated public participant, or null if
+ *   the user is not in the room
+ */
+export const setParticipantRole = async (roomId, userId, role) => {
+  if (!ROLES.includes(role)) return null;
+
+  let participant = null;
+  await getStore().updateRoom(roomId, (room) => {
+    const user = room?.users.find((user) => user.id === userId);
+    participant = null;
+    if (!user) return;
+
+    user.role = role;
+    participant = toParticipant(user);
+    return room;
+  });
+  return participant;
+};
+
+// Start a session for a user joining a room. The id is what authorizes
+// everything the session does, so it is as unguessable as the resume token,
+// which lets the same client pick the session back up after a dropped
+// connection.
+export const createSession = async (userId, roomId) => {
+  const session = {
+    id: `session_${randomBytes(16).toString("hex")}`,
+    userId,
+    roomId,
+    resumeToken: randomBytes(16).toString("hex"),
+    createdAt: Date.now(),
+    lastSeen: Date.now(),
+  };
+  await getStore().saveSession(session);
+  return session;
+};
+
+// Mark a session as alive; returns null when it no longer exists
+export const touchSession = (sessionId) =>
+  getStore().touchSession(sessionId, Date.now());
+
+// Take a user out of a room record, notify the others and drop the room
+// once it is empty. With a sessionId, only that session's entry is removed,
+// so an expired old session can't kick a user who has since rejoined.
+const dropUserFromRoom = async (
+  roomId,
+  userId,
+  { sessionId = null, reason = "left" } = {}
+) => {
+  const matches = (entry) =>
+    entry.id === userId && (!sessionId || entry.sessionId === sessionId);
+
+  // What the update did, for the announcements once it is saved
+  let dropped = null;
+  await getStore().updateRoom(roomId, (room) => {
+    dropped = null;
+    if (!room) return;
+
+    // Someone giving up (or timing out) in the lobby never joined the call
+    const waitingEntry = room.waiting?.find(matches);
+    if (waitingEntry) {
+      room.waiting = room.waiting.filter((entry) => entry !== waitingEntry);
+      dropped = { room, fromLobby: true };
+      return room;
+    }
+
+    if (!room.users.some(matches)) return;
+
+    room.users = room.users.filter((user) => user.id !== userId);
+    dropped = { room };
+    if (room.users.length === 0) return null;
+
+    // Someone must be able to moderate, so the longest-present participant
+    // takes over when the last host or co-host leaves
+    if (!room.users.some(isModerator)) {
+      const [nextHost] = room.users;
+      nextHost.role = "host";
+      dropped.nextHost = nextHost;
+    }
+    return room;
+  });
+  if (!dropped) return;
+
+  const { room, fromLobby, nextHost } = dropped;
+  if (fromLobby) {
+    publishLobbyUpdate(room, userId);
+    return;
+  }
+
+  publishRoomEvent(roomId, "user-leave", { userId });
+  notifyParticipantLeft(room, userId, reason);
+
+  if (room.users.length === 0) {
+    notifyRoomEnded(room, "empty");
+    return;
+  }
+
+  if (nextHost) {
+    publishRoomEvent(roomId, "role-changed", {
+      userId,
+      participant: toParticipant(nextHost),
+    });
+  }
+};
+
+/**
+ * Take the entry a client left behind under an earlier peer id out of the
+ * room record, as it rejoins under a new one. Called inside a room update;
+ * announceReplacedEntry follows once the room is saved.
+ * @param {Object} room - Room record being updated
+ * @param {Object} entry - The old participant or lobby entry
+ * @returns {boolean} Whether the entry was in the call, not the lobby
+ */
+export const replaceStaleEntry = (room, entry) => {
+  const wasInCall = room.users.includes(entry);
+  room.users = room.users.filter((user) => user !== entry);
+  room.waiting = (room.waiting || []).filter((waiting) => waiting !== entry);
+  return wasInCall;
+};
+
+/**
+ * End the session of an entry taken out by replaceStaleEntry. Others see
+ * the old id leave, with the id that replaces it; the old tab, if still
+ * open, is sent home.
+ * @param {Object} room - Room record as saved
+ * @param {Object} entry - The old participant or lobby entry
+ * @param {string} userId - The id the client is joining with now
+ * @param {boolean} wasInCall - What replaceStaleEntry returned
+ */
+export const announceReplacedEntry = async (room, entry, userId, wasInCall) => {
+  await getStore().deleteSession(entry.sessionId);
+
+  publishRoomEvent(room.id, "user-kicked", {
+    userId: null,
+    targetUserId: entry.id,
+    reason: "replaced",
+  });
+  if (wasInCall) {
+    publishRoomEvent(room.id, "user-leave", {
+      userId: entry.id,
+      replacedBy: userId,
+    });
+    notifyParticipantLeft(room, entry.id, "replaced");
+  }
+};
+
+// Drop sessions that missed their heartbeats (the event stream's, or the
+// polling fallback's pings), and rooms nobody joined in time
+export const cleanupOldSessions = async () => {
+  const store = getStore();
+  const now = Date.now();
+  const { sessionTimeoutMs, emptyRoomTtlMs } = serverConfig;
+
+  const isExpired = (room) =>
+    room?.users.length === 0 && now - room.createdAt > emptyRoomTtlMs;
+
+  for (const room of await store.listRooms()) {
+    if (!isExpired(room)) continue;
+
+    // Someone may have joined since the list was read
+    let expiredRoom = null;
+    await store.updateRoom(room.id, (current) => {
+      expiredRoom = isExpired(current) ? current : null;
+      return expiredRoom ? null : undefined;
+    });
+    if (expiredRoom) notifyRoomEnded(expiredRoom, "expired");
+  }
+
+  for (const session of await store.listSessions()) {
+    if (now - session.lastSeen > sessionTimeoutMs) {
+      sessionTimeouts.inc();
+      // Remove user from room
+      if (session.roomId) {
+        await dropUserFromRoom(session.roomId, session.userId, {
+          sessionId: session.id,
+          reason: "timeout",
+        });
+      }
+      await store.deleteSession(session.id);
+    }
+  }
+};
+
+// Remove a user from a room, notify the others and drop the user's session.
+// reason is "left" or, when a host removed them, "removed". With a sessionId
+// only that session goes, so a late leave from a closed tab can't remove a
+// user who has rejoined since.
+export const removeUserFromRoom = async (
+  roomId,
+  userId,
+  reason = "left",
+  sessionId = null
+) => {
+  const store = getStore();
+  await dropUserFromRoom(roomId, userId, { sessionId, reason });
+
+  if (sessionId) {
+    await store.deleteSession(sessionId);
+    return;
+  }
+
+  // Clean up session
+  for (const session of await store.listSessions()) {
+    if (session.userId === userId && session.roomId === roomId) {
+      await store.deleteSession(session.id);
+      break;
+    }
+  }
+};
+
+// Close a room for everyone: drop the record and every session in it.
+// reason is "ended" by the host or "closed" by an admin.
+export const endRoom = async (roomId, reason = "ended") => {
+  const store = getStore();
+  let room = null;
+  await store.updateRoom(roomId, (current) => {
+    room = current;
+    return current ? null : undefined;
+  });
+  if (room) {
+    // Everyone still in the call leaves with the room, one after another
+    room.users.forEach((user, index) =>
+      notifyParticipantLeft(
+        { ...room, users: room.users.slice(index + 1) },
+        user.id,
+        reason
+      )
+    );
+    notifyRoomEnded(room, reason);
+  }
+
+  for (const session of await store.listSessions()) {
+    if (session.roomId === roomId) {
+      await store.deleteSession(session.id);
+    }
+  }
+};
+
+/**
+ * End one session, taking its user out of the room (or lobby) if that is
+ * the session they are in with. The user's client is told it was removed.
+ * @param {string} sessionId - Session to end
+ * @returns {Promise<Object|null>} The evicted session, or null if unknown
+ */
+export const evictSession = async (sessionId) => {
+  const store = getStore();
+  const session = await store.getSession(sessionId);
+  if (!session) return null;
+
+  // An old session of someone who has since rejoined only needs deleting
+  const room = session.roomId ? await store.getRoom(session.roomId) : null;
+  const inRoom = [...(room?.users || []), ...(room?.waiting || [])].some(
+    (entry) => entry.id === session.userId && entry.sessionId === sessionId
+  );
+
+  if (inRoom) {
+    publishRoomEvent(session.roomId, "user-kicked", {
+      userId: null,
+      targetUserId: session.userId,
+      reason: "removed",
+    });
+    await dropUserFromRoom(session.roomId, session.userId, {
+      sessionId,
+      reason: "removed",
+    });
+  }
+  await store.deleteSession(sessionId);
+  return session;
+};
@@ -0,0 +1,14 @@
+// Next bundles every route on its own and reloads modules in development,
+// so state kept in a module would exist once per route and be lost on every
+// edit. Whatever the signaling routes share lives on globalThis instead.
+
+/**
+ * One value per process, created on first use
+ * @param {string} name - Unique name of the value
+ * @param {Function} create - Builds the value the first time it is needed
+ * @returns {*} The shared value
+ */
+export const getSharedState = (name, create) => {
+  const key = Symbol.for(`streamtalk.${name}`);
+  return (globalThis[key] ??= create());
+};
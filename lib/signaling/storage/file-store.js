@@ -0,0 +1,110 @@
+import { promises as fs } from "node:fs";
+import path from "node:path";
+
+/**
+ * Store backed by a single JSON file, so rooms survive restarts. Every
+ * operation reads the file fresh; writes go through a temp file and rename
+ * to stay atomic. Changes are only serialized within one process, so the
+ * file must not be shared between processes; use the Redis store for that.
+ */
+export class FileStore {
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+    // Serialize read-modify-write cycles within this process
+    this.queue = Promise.resolve();
+  }
+
+  async read() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.filePath, "utf8"));
+      return { rooms: data.rooms || {}, sessions: data.sessions || {} };
+    } catch (error) {
+      if (error.code === "ENOENT") return { rooms: {}, sessions: {} };
+      throw error;
+    }
+  }
+
+  async write(data) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(data));
+    await fs.rename(tempPath, this.filePath);
+  }
+
+  // Run a mutation against the file contents after any pending ones
+  update(mutate) {
+    const run = this.queue.then(async () => {
+      const data = await this.read();
+      mutate(data);
+      await this.write(data);
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async getRoom(roomId) {
+    const { rooms } = await this.read();
+    return rooms[roomId] || null;
+  }
+
+  saveRoom(room) {
+    return this.update((data) => {
+      data.rooms[room.id] = room;
+    });
+  }
+
+  deleteRoom(roomId) {
+    return this.update((data) => {
+      delete data.rooms[roomId];
+    });
+  }
+
+  async listRooms() {
+    const { rooms } = await this.read();
+    return Object.values(rooms);
+  }
+
+  async updateRoom(roomId, mutate) {
+    let next;
+    await this.update((data) => {
+      next = mutate(data.rooms[roomId] || null);
+      if (next === null) {
+        delete data.rooms[roomId];
+      } else if (next) {
+        data.rooms[roomId] = next;
+      }
+    });
+    return next;
+  }
+
+  async getSession(sessionId) {
+    const { sessions } = await this.read();
+    return sessions[sessionId] || null;
+  }
+
+  saveSession(session) {
+    return this.update((data) => {
+      data.sessions[session.id] = session;
+    });
+  }
+
+  deleteSession(sessionId) {
+    return this.update((data) => {
+      delete data.sessions[sessionId];
+    });
+  }
+
+  async touchSession(sessionId, lastSeen) {
+    let session = null;
+    await this.update((data) => {
+      session = data.sessions[sessionId] || null;
+      if (session) session.lastSeen = lastSeen;
+    });
+    return session;
+  }
+
+  async listSessions() {
+    const { sessions } = await this.read();
+    return Object.values(sessions);
+  }
+}
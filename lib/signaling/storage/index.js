@@ -0,0 +1,77 @@
+import { MemoryStore } from "@/lib/signaling/storage/memory-store";
+import { FileStore } from "@/lib/signaling/storage/file-store";
+import { RedisStore } from "@/lib/signaling/storage/redis-store";
+import { RedisEventBus } from "@/lib/signaling/storage/redis-event-bus";
+import { getSharedState } from "@/lib/signaling/shared-state";
+
+/**
+ * Room/session storage used by the signaling routes. Every adapter exposes
+ * the same async interface:
+ *
+ *   getRoom(roomId), saveRoom(room), deleteRoom(roomId), listRooms(),
+ *   updateRoom(roomId, mutate)
+ *   getSession(sessionId), saveSession(session), deleteSession(sessionId),
+ *   listSessions(), touchSession(sessionId, lastSeen)
+ *
+ * Rooms look like { id, users: [participant] } and sessions like
+ * { id, userId, roomId, lastSeen }. Callers always save a record after
+ * changing it; adapters may hand out copies.
+ *
+ * Rooms change under concurrent requests, so changes to an existing room go
+ * through updateRoom rather than getRoom and saveRoom. mutate gets the
+ * current record (or null) and returns the record to save, null to delete
+ * it, or undefined to leave it alone; updateRoom resolves to that value.
+ * No other change to the room lands in between, but mutate may run more
+ * than once, so it must only change the record it was given.
+ *
+ * touchSession sets a session's lastSeen only if the session still exists,
+ * resolving to the updated session or null, so a heartbeat racing a leave
+ * or kick can't bring the session back.
+ *
+ * The adapter is picked by SIGNALING_STORE:
+ *   memory (default) - in-process Maps
+ *   file             - JSON file at SIGNALING_STORE_FILE
+ *   redis            - Redis-protocol server at REDIS_URL
+ */
+const getStoreType = () =>
+  (process.env.SIGNALING_STORE || "memory").toLowerCase();
+
+const createStore = () => {
+  const type = getStoreType();
+
+  switch (type) {
+    case "memory":
+      return new MemoryStore();
+
+    case "file":
+      return new FileStore(
+        process.env.SIGNALING_STORE_FILE || ".data/signaling.json"
+      );
+
+    case "redis":
+      return new RedisStore(
+        process.env.REDIS_URL || "redis://127.0.0.1:6379",
+        process.env.REDIS_PREFIX || "streamtalk:"
+      );
+
+    default:
+      throw new Error(`Unknown SIGNALING_STORE "${type}"`);
+  }
+};
+
+export const getStore = () => getSharedState("store", createStore);
+
+/**
+ * Channel carrying room events between instances of the app, which the
+ * redis store makes possible. The memory and file stores serve a single
+ * process, so their events stay in it and this is null.
+ */
+export const getEventBus = () =>
+  getSharedState("event-bus", () =>
+    getStoreType() === "redis"
+      ? new RedisEventBus(
+          process.env.REDIS_URL || "redis://127.0.0.1:6379",
+          process.env.REDIS_PREFIX || "streamtalk:"
+        )
+      : null
+  );
@@ -0,0 +1,65 @@
+import { getSharedState } from "@/lib/signaling/shared-state";
+
+// Default store: plain Maps in this process, lost when it exits
+export class MemoryStore {
+  constructor() {
+    const state = getSharedState("memory-store", () => ({
+      rooms: new Map(),
+      sessions: new Map(),
+    }));
+    this.rooms = state.rooms;
+    this.sessions = state.sessions;
+  }
+
+  async getRoom(roomId) {
+    return this.rooms.get(roomId) || null;
+  }
+
+  async saveRoom(room) {
+    this.rooms.set(room.id, room);
+  }
+
+  async deleteRoom(roomId) {
+    this.rooms.delete(roomId);
+  }
+
+  async listRooms() {
+    return [...this.rooms.values()];
+  }
+
+  // Reading and writing happen in one synchronous step, so nothing can
+  // interleave; mutate works on a copy so a throw leaves the room as it was
+  async updateRoom(roomId, mutate) {
+    const current = this.rooms.get(roomId);
+    const next = mutate(current ? structuredClone(current) : null);
+    if (next === null) {
+      this.rooms.delete(roomId);
+    } else if (next) {
+      this.rooms.set(roomId, next);
+    }
+    return next;
+  }
+
+  async getSession(sessionId) {
+    return this.sessions.get(sessionId) || null;
+  }
+
+  async saveSession(session) {
+    this.sessions.set(session.id, session);
+  }
+
+  async deleteSession(sessionId) {
+    this.sessions.delete(sessionId);
+  }
+
+  async touchSession(sessionId, lastSeen) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return null;
+    session.lastSeen = lastSeen;
+    return session;
+  }
+
+  async listSessions() {
+    return [...this.sessions.values()];
+  }
+}
@@ -0,0 +1,48 @@
+import { RespClient } from "@/lib/signaling/storage/resp-client";
+
+// Numbering and publishing in one script, so ids reach every subscriber in
+// order
+const PUBLISH_SCRIPT = `
+local id = redis.call("INCR", KEYS[1])
+redis.call("PUBLISH", KEYS[2], id .. "\\n" .. ARGV[1])
+return id
+`;
+
+/**
+ * Room events over Redis pub/sub, so every instance of the app hears every
+ * event, numbered from one shared counter. Delivery is at most once: an
+ * instance misses whatever is published while it is not connected.
+ */
+export class RedisEventBus {
+  constructor(url, prefix = "streamtalk:") {
+    this.client = new RespClient(url);
+    // A subscribed connection can't run other commands
+    this.subscriber = new RespClient(url);
+    this.counterKey = `${prefix}event-id`;
+    this.channel = `${prefix}room-events`;
+  }
+
+  /**
+   * Start hearing events, our own included
+   * @param {Function} onEvent - Called with (roomId, { id, event, payload,
+   *   timestamp })
+   */
+  listen(onEvent) {
+    this.subscriber.subscribe([this.channel], (channel, message) => {
+      const separator = message.indexOf("\n");
+      const { roomId, ...entry } = JSON.parse(message.slice(separator + 1));
+      onEvent(roomId, { id: Number(message.slice(0, separator)), ...entry });
+    });
+  }
+
+  publish(roomId, event, payload) {
+    return this.client.command(
+      "EVAL",
+      PUBLISH_SCRIPT,
+      2,
+      this.counterKey,
+      this.channel,
+      JSON.stringify({ roomId, event, payload, timestamp: Date.now() })
+    );
+  }
+}
@@ -0,0 +1,153 @@
+import { RespClient } from "@/lib/signaling/storage/resp-client";
+
+// A room that keeps changing under us this many times in a row is given up on
+const MAX_UPDATE_ATTEMPTS = 20;
+
+// Update lastSeen in place, doing nothing once the session is deleted
+const TOUCH_SCRIPT = `
+local value = redis.call("GET", KEYS[1])
+if not value then return false end
+local session = cjson.decode(value)
+session.lastSeen = tonumber(ARGV[1])
+value = cjson.encode(session)
+redis.call("SET", KEYS[1], value)
+return value
+`;
+
+/**
+ * Store backed by a Redis-protocol server, so every instance of the app sees
+ * the same rooms and sessions. Records are JSON strings, with a set per kind
+ * holding the ids for listing.
+ */
+export class RedisStore {
+  constructor(url, prefix = "streamtalk:") {
+    this.client = new RespClient(url);
+    // WATCH and MULTI belong to a connection, so room updates get their own
+    // and take turns on it
+    this.transactions = new RespClient(url);
+    this.queue = Promise.resolve();
+    this.prefix = prefix;
+  }
+
+  key(...parts) {
+    return this.prefix + parts.join(":");
+  }
+
+  async getRecord(kind, id) {
+    const value = await this.client.command("GET", this.key(kind, id));
+    return value ? JSON.parse(value) : null;
+  }
+
+  async saveRecord(kind, record) {
+    await this.client.command(
+      "SET",
+      this.key(kind, record.id),
+      JSON.stringify(record)
+    );
+    await this.client.command("SADD", this.key(`${kind}s`), record.id);
+  }
+
+  async deleteRecord(kind, id) {
+    await this.client.command("DEL", this.key(kind, id));
+    await this.client.command("SREM", this.key(`${kind}s`), id);
+  }
+
+  async listRecords(kind) {
+    const ids = await this.client.command("SMEMBERS", this.key(`${kind}s`));
+    if (!ids || ids.length === 0) return [];
+
+    const values = await this.client.command(
+      "MGET",
+      ...ids.map((id) => this.key(kind, id))
+    );
+    return values.filter(Boolean).map((value) => JSON.parse(value));
+  }
+
+  getRoom(roomId) {
+    return this.getRecord("room", roomId);
+  }
+
+  saveRoom(room) {
+    return this.saveRecord("room", room);
+  }
+
+  deleteRoom(roomId) {
+    return this.deleteRecord("room", roomId);
+  }
+
+  listRooms() {
+    return this.listRecords("room");
+  }
+
+  updateRoom(roomId, mutate) {
+    const run = this.queue.then(() => this.watchAndUpdate(roomId, mutate));
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  // Optimistic transaction: EXEC is refused if anyone else wrote the room
+  // after WATCH, and then we read it again and retry
+  async watchAndUpdate(roomId, mutate) {
+    const key = this.key("room", roomId);
+    const command = (...args) => this.transactions.command(...args);
+
+    for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+      await command("WATCH", key);
+
+      let next;
+      try {
+        const value = await command("GET", key);
+        next = mutate(value ? JSON.parse(value) : null);
+      } catch (error) {
+        await command("UNWATCH");
+        throw error;
+      }
+
+      if (next === undefined) {
+        await command("UNWATCH");
+        return next;
+      }
+
+      await command("MULTI");
+      if (next === null) {
+        await command("DEL", key);
+        await command("SREM", this.key("rooms"), roomId);
+      } else {
+        await command("SET", key, JSON.stringify(next));
+        await command("SADD", this.key("rooms"), roomId);
+      }
+      if ((await command("EXEC")) !== null) return next;
+    }
+
+    throw new Error(
+      `Room ${roomId} kept changing, gave up after ${MAX_UPDATE_ATTEMPTS} attempts`
+    );
+  }
+
+  getSession(sessionId) {
+    return this.getRecord("session", sessionId);
+  }
+
+  saveSession(session) {
+    return this.saveRecord("session", session);
+  }
+
+  deleteSession(sessionId) {
+    return this.deleteRecord("session", sessionId);
+  }
+
+  async touchSession(sessionId, lastSeen) {
+    const value = await this.client.command(
+      "EVAL",
+      TOUCH_SCRIPT,
+      1,
+      this.key("session", sessionId),
+      lastSeen
+    );
+    return value ? JSON.parse(value) : null;
+  }
+
+  listSessions() {
+    return this.listRecords("session");
+  }
+}
@@ -0,0 +1,198 @@
+import net from "node:net";
+
+const CRLF = "\r\n";
+
+// A subscriber that lost its connection tries again after this long
+const RESUBSCRIBE_DELAY_MS = 1000;
+
+// Encode a command as a RESP array of bulk strings
+const encodeCommand = (args) => {
+  let command = `*${args.length}${CRLF}`;
+  args.forEach((arg) => {
+    const value = String(arg);
+    command += `$${Buffer.byteLength(value)}${CRLF}${value}${CRLF}`;
+  });
+  return command;
+};
+
+// Parse one reply starting at offset; returns null until it is complete
+const parseReply = (buffer, offset) => {
+  const lineEnd = buffer.indexOf(CRLF, offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString("utf8", offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case "+":
+      return { value: line, offset: next };
+
+    case "-":
+      return { value: new Error(line), offset: next };
+
+    case ":":
+      return { value: Number(line), offset: next };
+
+    case "$": {
+      const length = Number(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return {
+        value: buffer.toString("utf8", next, next + length),
+        offset: next + length + 2,
+      };
+    }
+
+    case "*": {
+      const count = Number(line);
+      if (count === -1) return { value: null, offset: next };
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+
+    default:
+      throw new Error(`Unexpected RESP reply type "${type}"`);
+  }
+};
+
+/**
+ * Minimal client for the Redis protocol (RESP2), covering what the signaling
+ * store needs without pulling in a dependency. Works against Redis, Valkey,
+ * KeyDB or any other server speaking the same protocol.
+ */
+export class RespClient {
+  constructor(url = "redis://127.0.0.1:6379") {
+    const parsed = new URL(url);
+    this.host = parsed.hostname || "127.0.0.1";
+    this.port = Number(parsed.port) || 6379;
+    this.username = decodeURIComponent(parsed.username || "");
+    this.password = decodeURIComponent(parsed.password || "");
+    this.database = Number(parsed.pathname.slice(1)) || 0;
+
+    this.socket = null;
+    this.buffer = Buffer.alloc(0);
+    this.pending = [];
+    // Set by subscribe(), which gives the connection over to pub/sub
+    this.channels = null;
+    this.onMessage = null;
+  }
+
+  connect() {
+    if (this.socket) return;
+
+    const socket = net.createConnection({ host: this.host, port: this.port });
+    socket.setNoDelay(true);
+    this.socket = socket;
+
+    socket.on("data", (chunk) => {
+      this.buffer = Buffer.concat([this.buffer, chunk]);
+      this.drainReplies();
+    });
+
+    const fail = (error) => {
+      // Ignore late events from a connection we already replaced
+      if (this.socket !== socket) return;
+      this.socket = null;
+      this.buffer = Buffer.alloc(0);
+      const pending = this.pending;
+      this.pending = [];
+      pending.forEach(({ reject }) =>
+        reject(error || new Error("Connection closed"))
+      );
+
+      if (this.channels) {
+        setTimeout(() => this.connect(), RESUBSCRIBE_DELAY_MS);
+      }
+    };
+
+    socket.on("error", fail);
+    socket.on("close", () => fail());
+
+    // Queued ahead of the first real command, so replies stay in order
+    if (this.password) {
+      const auth = this.username
+        ? ["AUTH", this.username, this.password]
+        : ["AUTH", this.password];
+      this.send(auth).catch(() => {});
+    }
+    if (this.database) {
+      this.send(["SELECT", this.database]).catch(() => {});
+    }
+    if (this.channels) {
+      this.send(["SUBSCRIBE", ...this.channels]).catch(() => {});
+    }
+  }
+
+  drainReplies() {
+    let reply;
+    while ((reply = parseReply(this.buffer, 0)) !== null) {
+      this.buffer = this.buffer.subarray(reply.offset);
+
+      // Published messages arrive whenever, not in answer to a command
+      const [kind, channel, message] = Array.isArray(reply.value)
+        ? reply.value
+        : [];
+      if (this.onMessage && kind === "message") {
+        this.onMessage(channel, message);
+        continue;
+      }
+
+      if (this.pending.length === 0) continue;
+      const { resolve, reject } = this.pending.shift();
+      if (reply.value instanceof Error) {
+        reject(reply.value);
+      } else {
+        resolve(reply.value);
+      }
+    }
+  }
+
+  send(args) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ resolve, reject });
+      this.socket.write(encodeCommand(args));
+    });
+  }
+
+  /**
+   * Run a command, connecting (or reconnecting) first if needed
+   * @param {...(string|number)} args - Command name and arguments
+   * @returns {Promise<*>} The decoded reply
+   */
+  command(...args) {
+    this.connect();
+    return this.send(args);
+  }
+
+  /**
+   * Hand the connection over to pub/sub: it carries nothing but messages
+   * from these channels from now on, and subscribes again whenever it has
+   * to reconnect
+   * @param {string[]} channels - Channels to listen to
+   * @param {Function} onMessage - Called with (channel, message)
+   */
+  subscribe(channels, onMessage) {
+    this.channels = channels;
+    this.onMessage = onMessage;
+    if (this.socket) {
+      this.send(["SUBSCRIBE", ...channels]).catch(() => {});
+    } else {
+      this.connect();
+    }
+  }
+
+  quit() {
+    this.channels = null;
+    if (!this.socket) return;
+    this.socket.end();
+    this.socket = null;
+  }
+}
@@ -0,0 +1,160 @@
+import { MAX_ROOM_CAPACITY } from "@/lib/signaling/room-state";
+
+// Request validation for the signaling API. Every action lists the fields it
+// needs; any known field that is present is checked against its format,
+// whatever the action.
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const SESSION_PATTERN = /^session_[a-f0-9]{32}$/;
+const TOKEN_PATTERN = /^[a-f0-9]{32}$/;
+
+const MAX_PASSWORD_LENGTH = 128;
+const MAX_STATE_SIZE = 2 * 1024;
+// SDP offers with many codecs and candidates can run to tens of kilobytes
+const MAX_SIGNAL_SIZE = 64 * 1024;
+
+const isPlainObject = (value) =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+
+const id = (value) =>
+  typeof value === "string" && ID_PATTERN.test(value)
+    ? null
+    : "must be 1-64 letters, digits, '-' or '_'";
+
+const pattern = (regex, message) => (value) =>
+  typeof value === "string" && regex.test(value) ? null : message;
+
+const boolean = (value) =>
+  typeof value === "boolean" ? null : "must be true or false";
+
+const object = (maxSize) => (value) => {
+  if (!isPlainObject(value)) return "must be an object";
+  return JSON.stringify(value).length > maxSize
+    ? `must be at most ${maxSize} bytes`
+    : null;
+};
+
+// Format of every field the API accepts, returning an error message or null
+const FIELDS = {
+  roomId: id,
+  userId: id,
+  targetUserId: id,
+  clientId: id,
+  sessionId: pattern(SESSION_PATTERN, "is not a valid session id"),
+  hostKey: pattern(TOKEN_PATTERN, "is not a valid host key"),
+  resumeToken: pattern(TOKEN_PATTERN, "is not a valid resume token"),
+  password: (value) =>
+    typeof value === "string" && value.length <= MAX_PASSWORD_LENGTH
+      ? null
+      : `must be a string of at most ${MAX_PASSWORD_LENGTH} characters`,
+  locked: boolean,
+  enabled: boolean,
+  lobby: boolean,
+  role: (value) =>
+    ["co-host", "participant"].includes(value)
+      ? null
+      : "must be co-host or participant",
+  state: object(MAX_STATE_SIZE),
+  data: object(MAX_SIGNAL_SIZE),
+  maxParticipants: (value) =>
+    Number.isInteger(value) && value >= 2 && value <= MAX_ROOM_CAPACITY
+      ? null
+      : `must be a whole number from 2 to ${MAX_ROOM_CAPACITY}`,
+  cursor: pattern(/^\d{1,16}$/, "must be a non-negative integer"),
+};
+
+const MODERATION = ["roomId", "userId", "sessionId"];
+
+// Required fields of each action, per HTTP method
+const ACTIONS = {
+  GET: {
+    "join-room": ["roomId", "userId"],
+    "get-room-users": ["roomId", "userId", "sessionId"],
+    "get-events": ["roomId", "userId", "sessionId"],
+    "leave-room": ["roomId", "userId", "sessionId"],
+    ping: ["sessionId"],
+  },
+  POST: {
+    "create-room": ["roomId"],
+    "join-room": ["roomId", "userId"],
+    "lock-room": [...MODERATION, "locked"],
+    "mute-user": [...MODERATION, "targetUserId"],
+    "kick-user": [...MODERATION, "targetUserId"],
+    "set-role": [...MODERATION, "targetUserId", "role"],
+    "admit-user": [...MODERATION, "targetUserId"],
+    "deny-user": [...MODERATION, "targetUserId"],
+    "mute-all": MODERATION,
+    "end-room": MODERATION,
+    "toggle-audio": ["roomId", "userId", "sessionId"],
+    "toggle-video": ["roomId", "userId", "sessionId"],
+    "update-state": ["roomId", "userId", "sessionId", "state"],
+    signal: ["roomId", "userId", "sessionId", "targetUserId", "data"],
+    "leave-room": ["roomId", "userId", "sessionId"],
+    ping: ["sessionId"],
+  },
+};
+
+/**
+ * Check that required fields are present and known fields are well formed
+ * @param {Object} params - Query parameters or JSON body
+ * @param {string[]} required - Fields that must be present
+ * @returns {Response|null} A 400 response describing every problem, or null
+ *   when the parameters are valid
+ */
+export const validateParams = (params, required = []) => {
+  const details = [];
+  required.forEach((field) => {
+    if (params[field] === undefined || params[field] === null) {
+      details.push({ field, message: "is required" });
+    }
+  });
+
+  Object.entries(FIELDS).forEach(([field, check]) => {
+    const value = params[field];
+    if (value === undefined || value === null) return;
+    const message = check(value);
+    if (message) details.push({ field, message });
+  });
+
+  if (details.length === 0) return null;
+
+  return Response.json(
+    {
+      error: details
+        .map(({ field, message }) => `${field} ${message}`)
+        .join(", "),
+      code: "invalid-request",
+      details,
+    },
+    { status: 400 }
+  );
+};
+
+// Whether an action exists for a method, so metrics only label known ones
+export const isKnownAction = (method, action) =>
+  Object.hasOwn(ACTIONS[method] || {}, action);
+
+/**
+ * Check a signaling request before it reaches an action handler
+ * @param {string} method - "GET" or "POST"
+ * @param {Object} params - Query parameters or JSON body, including action
+ * @returns {Response|null} A 400 response, or null when the request is valid
+ */
+export const validateRequest = (method, params) => {
+  if (!isPlainObject(params)) {
+    return Response.json(
+      { error: "Request body must be a JSON object", code: "invalid-request" },
+      { status: 400 }
+    );
+  }
+
+  const required = ACTIONS[method]?.[params.action];
+  if (!required) {
+    return Response.json(
+      { error: "Invalid action", code: "invalid-action" },
+      { status: 400 }
+    );
+  }
+
+  return validateParams(params, required);
+};
@@ -0,0 +1,115 @@
+import { createHmac, randomUUID } from "node:crypto";
+import { createLogger } from "@/lib/logger";
+
+// Outgoing room lifecycle webhooks. Each event is POSTed as JSON to every
+// URL in WEBHOOK_URLS, signed with WEBHOOK_SECRET and retried with
+// exponential backoff. Retries are timers in this process, so deliveries
+// still pending when the server stops are lost.
+const log = createLogger("signaling");
+
+const REQUEST_TIMEOUT = 5000;
+const BASE_RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 60 * 1000;
+
+const getWebhookConfig = () => ({
+  urls: (process.env.WEBHOOK_URLS || "")
+    .split(",")
+    .map((url) => url.trim())
+    .filter(Boolean),
+  secret: process.env.WEBHOOK_SECRET || "",
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+});
+
+/**
+ * Signature sent in the X-StreamTalk-Signature header: an HMAC-SHA256 of
+ * "<timestamp>.<body>", so receivers can also reject replayed deliveries
+ * @param {string} secret - WEBHOOK_SECRET
+ * @param {string} timestamp - Value of the X-StreamTalk-Timestamp header
+ * @param {string} body - Raw request body
+ * @returns {string} "sha256=<hex digest>"
+ */
+export const signWebhook = (secret, timestamp, body) =>
+  `sha256=${createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex")}`;
+
+// Network errors, timeouts, 429 and 5xx are worth another try; any other
+// answer means the receiver saw the delivery
+const shouldRetry = (status) => !status || status === 429 || status >= 500;
+
+const deliver = async (url, delivery, attempt, maxAttempts, secret) => {
+  const body = JSON.stringify(delivery);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const headers = {
+    "Content-Type": "application/json",
+    "User-Agent": "StreamTalk-Webhooks",
+    "X-StreamTalk-Event": delivery.event,
+    "X-StreamTalk-Delivery": delivery.id,
+    "X-StreamTalk-Timestamp": timestamp,
+  };
+  if (secret) {
+    headers["X-StreamTalk-Signature"] = signWebhook(secret, timestamp, body);
+  }
+
+  let status = null;
+  try {
+    const response = await fetch(url, {
+      method: "POST",
+      headers,
+      body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+    });
+    status = response.status;
+    if (response.ok) return;
+  } catch (error) {
+    log.warn("Webhook delivery failed", {
+      event: delivery.event,
+      deliveryId: delivery.id,
+      url,
+      attempt,
+      error: error.message,
+    });
+  }
+
+  if (!shouldRetry(status) || attempt >= maxAttempts) {
+    log.error("Webhook delivery dropped", {
+      event: delivery.event,
+      deliveryId: delivery.id,
+      url,
+      attempts: attempt,
+      status,
+    });
+    return;
+  }
+
+  // 1s, 2s, 4s, ... capped, with jitter so retries to a struggling receiver
+  // don't arrive together
+  const delay =
+    Math.min(BASE_RETRY_DELAY * 2 ** (attempt - 1), MAX_RETRY_DELAY) +
+    Math.random() * BASE_RETRY_DELAY;
+  setTimeout(() => {
+    deliver(url, delivery, attempt + 1, maxAttempts, secret);
+  }, delay);
+};
+
+/**
+ * Send a lifecycle event to every configured webhook. Never throws and never
+ * waits for delivery, so signaling is not slowed down by slow receivers.
+ * @param {string} event - room-created, participant-joined,
+ *   participant-left or room-ended
+ * @param {Object} data - Event details, e.g. { roomId, userId }
+ */
+export const sendWebhook = (event, data) => {
+  const { urls, secret, maxAttempts } = getWebhookConfig();
+  if (urls.length === 0) return;
+
+  const delivery = {
+    id: randomUUID(),
+    event,
+    timestamp: new Date().toISOString(),
+    data,
+  };
+  urls.forEach((url) => {
+    deliver(url, delivery, 1, maxAttempts, secret);
+  });
+};
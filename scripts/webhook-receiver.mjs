@@ -0,0 +1,74 @@
+// Local webhook receiver for trying out room lifecycle webhooks.
+//
+//   WEBHOOK_SECRET=dev-secret node scripts/webhook-receiver.mjs
+//
+// then start the app with WEBHOOK_URLS=http://localhost:4000/webhooks and the
+// same WEBHOOK_SECRET. Every delivery is printed with its signature check.
+// Set FAIL_RATE (0-1) to answer some deliveries with 500 and watch retries.
+import { createServer } from "node:http";
+import { createHmac, timingSafeEqual } from "node:crypto";
+
+const PORT = Number(process.env.PORT) || 4000;
+const SECRET = process.env.WEBHOOK_SECRET || "";
+const FAIL_RATE = Number(process.env.FAIL_RATE) || 0;
+
+// Same scheme as signWebhook in lib/signaling/webhooks.js
+const verifySignature = (timestamp, body, signature) => {
+  const expected = `sha256=${createHmac("sha256", SECRET)
+    .update(`${timestamp}.${body}`)
+    .digest("hex")}`;
+  return (
+    typeof signature === "string" &&
+    signature.length === expected.length &&
+    timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  );
+};
+
+const server = createServer((req, res) => {
+  if (req.method !== "POST") {
+    res.writeHead(405).end();
+    return;
+  }
+
+  let body = "";
+  req.on("data", (chunk) => {
+    body += chunk;
+  });
+  req.on("end", () => {
+    let payload;
+    try {
+      payload = JSON.parse(body || "{}");
+    } catch (error) {
+      console.log(`Rejecting malformed body: ${error.message}`);
+      res.writeHead(400).end();
+      return;
+    }
+
+    const timestamp = req.headers["x-streamtalk-timestamp"];
+    const signature = req.headers["x-streamtalk-signature"];
+    const verified = SECRET
+      ? verifySignature(timestamp, body, signature)
+      : "no secret set";
+
+    console.log(
+      `${new Date().toISOString()} ${req.headers["x-streamtalk-event"]} ` +
+        `delivery=${req.headers["x-streamtalk-delivery"]} signature=${verified}`
+    );
+    console.log(JSON.stringify(payload, null, 2));
+
+    if (SECRET && !verified) {
+      res.writeHead(401).end();
+      return;
+    }
+    if (Math.random() < FAIL_RATE) {
+      console.log("-> answering 500 to trigger a retry");
+      res.writeHead(500).end();
+      return;
+    }
+    res.writeHead(204).end();
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Webhook receiver listening on http://localhost:${PORT}`);
+});
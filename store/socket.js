@@ -1,4 +1,8 @@
 import { createContext, useContext, useEffect, useState, useRef } from "react";
+import { createLogger } from "@/lib/logger";
+import { DEFAULT_CLIENT_CONFIG, loadClientConfig } from "@/lib/client-config";
+
+const log = createLogger("signaling");
 
 const SocketContext = createContext(null);
 
@@ -8,108 +12,278 @@ export const useSocket = () => {
 };
 
 // API-based socket implementation for Vercel compatibility
-class APISocket {
+export class APISocket {
   constructor() {
     this.sessionId = null;
+    this.resumeToken = null;
     this.roomId = null;
     this.userId = null;
     this.listeners = new Map();
+    this.eventSource = null;
     this.pollingInterval = null;
+    this.lastKnownUsers = [];
+    this.participants = new Map();
+    // Earlier peer ids of participants who rejoined from the same browser,
+    // mapped to the id that replaced them
+    this.aliases = new Map();
+    this.localState = {};
+    this.joinOptions = {};
+    this.roomInfo = null;
+    this.lobby = [];
+    this.eventCursor = 0;
+    // ICE servers for our calls, with TURN credentials for our session
+    this.iceConfig = null;
     this.isConnected = false;
     this.isConnecting = false;
     this.connectionStatus = "disconnected"; // 'disconnected', 'connecting', 'connected', 'error'
     this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 5;
-    this.reconnectDelay = 1000;
+    this.configure(DEFAULT_CLIENT_CONFIG);
+  }
+
+  // Apply timings from the client config (see /api/config)
+  configure({
+    pollIntervalMs,
+    reconnectDelayMs,
+    maxReconnectAttempts,
+    maxRateLimitRetries,
+  }) {
+    this.pollInterval = pollIntervalMs;
+    this.reconnectDelay = reconnectDelayMs;
+    this.maxReconnectAttempts = maxReconnectAttempts;
+    this.maxRateLimitRetries = maxRateLimitRetries;
   }
 
   // Emit events by making API calls
   async emit(event, ...args) {
     try {
-      const baseUrl =
-        typeof window !== "undefined"
-          ? window.location.origin
-          : "http://localhost:3000";
-
       switch (event) {
         case "join-room":
-          const [roomId, userId] = args;
+          const [roomId, userId, joinOptions = {}] = args;
+          // Reconnecting to the same room resumes our session instead of
+          // starting a new one, so the room never sees us leave
+          const canResume =
+            this.resumeToken &&
+            this.roomId === roomId &&
+            this.userId === userId;
+          const isReconnect = this.reconnectAttempts > 0;
           this.roomId = roomId;
           this.userId = userId;
+          this.joinOptions = joinOptions;
           this.isConnecting = true;
           this.connectionStatus = "connecting";
           this.trigger("connecting");
 
-          const joinResponse = await fetch(
-            `${baseUrl}/api/socket?action=join-room&roomId=${roomId}&userId=${userId}`
-          );
-          const joinData = await joinResponse.json();
+          const joinData = await this.makeAPICall("join-room", {
+            roomId,
+            userId,
+            password: joinOptions.password,
+            hostKey: joinOptions.hostKey,
+            clientId: joinOptions.clientId,
+            sessionId: canResume ? this.sessionId : undefined,
+            resumeToken: canResume ? this.resumeToken : undefined,
+            state: this.localState,
+          });
 
-          if (joinData.success) {
+          if (joinData.waiting) {
+            // Held in the lobby: the stream only carries the host's decision,
+            // and nothing else happens until we are admitted
             this.sessionId = joinData.sessionId;
+            this.roomInfo = joinData.room || null;
+            this.eventCursor = joinData.eventCursor || 0;
+            this.isConnecting = false;
+            this.connectionStatus = "waiting";
+            this.startStream();
+            this.trigger("waiting-room", roomId);
+          } else if (joinData.success) {
+            // Calls start as soon as we announce the join, so first fetch
+            // the TURN credentials our session is entitled to
+            this.sessionId = joinData.sessionId;
+            await this.loadIceConfig();
+            // Left the room while they loaded
+            if (this.sessionId !== joinData.sessionId) break;
+
+            const reconnectAttempts = this.reconnectAttempts;
+            const knownUsers = new Set(isReconnect ? this.lastKnownUsers : []);
+            const roomUsers = joinData.roomUsers || [];
+
+            this.resumeToken = joinData.resumeToken || null;
+            this.roomInfo = joinData.room || null;
             this.isConnected = true;
             this.isConnecting = false;
             this.connectionStatus = "connected";
             this.reconnectAttempts = 0;
-            this.startPolling();
+            this.lastKnownUsers = roomUsers;
+            // A resumed session replays what it missed from our own cursor
+            if (!joinData.resumed) {
+              this.eventCursor = joinData.eventCursor || 0;
+            }
+            this.setParticipants(joinData.participants || []);
+            this.setLobby(joinData.lobby || []);
+            this.startStream();
             this.trigger("connect");
             this.trigger("joined-room", roomId);
 
-            // Notify about existing users
-            if (joinData.roomUsers) {
-              joinData.roomUsers.forEach((userId) => {
-                if (userId !== this.userId) {
-                  this.trigger("user-connected", userId);
-                }
-              });
+            // Notify about users we don't know yet; after a reconnect the
+            // ones we already had calls with are left alone
+            roomUsers.forEach((userId) => {
+              if (userId !== this.userId && !knownUsers.has(userId)) {
+                this.trigger("user-connected", userId);
+              }
+            });
+            knownUsers.forEach((userId) => {
+              if (!roomUsers.includes(userId)) {
+                this.trigger("user-leave", userId);
+              }
+            });
+
+            if (isReconnect) {
+              this.trigger("reconnect", reconnectAttempts);
             }
+          } else if (joinData.code === "room-ended") {
+            // The room ended while we were reconnecting
+            this.leaveRoomLocally();
+            this.trigger("room-ended", null, "ended");
           } else {
             this.isConnecting = false;
             this.connectionStatus = "error";
-            this.trigger(
-              "connect_error",
-              new Error(joinData.error || "Failed to join room")
+            // The code tells the room page why (password-required, room-locked, ...)
+            const joinError = new Error(
+              joinData.error || "Failed to join room"
             );
+            joinError.code = joinData.code;
+            joinError.maxParticipants = joinData.maxParticipants;
+            this.trigger("connect_error", joinError);
           }
           break;
 
         case "user-toggle-audio":
-          const [audioUserId, audioRoomId] = args;
+          const [audioUserId, audioRoomId, audioEnabled] = args;
+          this.localState.audioEnabled = audioEnabled;
           await this.makeAPICall("toggle-audio", {
             roomId: audioRoomId,
             userId: audioUserId,
+            sessionId: this.sessionId,
+            enabled: audioEnabled,
           });
           break;
 
         case "user-toggle-video":
-          const [videoUserId, videoRoomId] = args;
+          const [videoUserId, videoRoomId, videoEnabled] = args;
+          this.localState.videoEnabled = videoEnabled;
           await this.makeAPICall("toggle-video", {
             roomId: videoRoomId,
             userId: videoUserId,
+            sessionId: this.sessionId,
+            enabled: videoEnabled,
+          });
+          break;
+
+        case "lock-room":
+          const [locked] = args;
+          const lockData = await this.makeAPICall("lock-room", {
+            roomId: this.roomId,
+            userId: this.userId,
+            sessionId: this.sessionId,
+            locked,
+          });
+          if (lockData.success) {
+            this.roomInfo = lockData.room;
+            this.trigger("room-locked", lockData.room.locked);
+          }
+          break;
+
+        case "mute-user":
+        case "kick-user":
+        case "set-role":
+        case "admit-user":
+        case "deny-user":
+        case "mute-all":
+        case "end-room":
+          // Moderation commands; the server checks we are host or co-host
+          const [moderationTargetId, role] = args;
+          const moderationData = await this.makeAPICall(event, {
+            roomId: this.roomId,
+            userId: this.userId,
+            sessionId: this.sessionId,
+            targetUserId: moderationTargetId,
+            role,
+          });
+          if (!moderationData.success) {
+            this.trigger("moderation-error", event, moderationData.error);
+          } else if (moderationData.participant) {
+            // Our own events aren't echoed back, so apply the result here
+            this.participants.set(
+              moderationData.participant.id,
+              moderationData.participant
+            );
+            this.trigger("participant-updated", moderationData.participant);
+          } else if (moderationData.waiting) {
+            this.setLobby(moderationData.waiting);
+          } else if (event === "end-room") {
+            this.leaveRoomLocally();
+            this.trigger("room-ended", this.userId, "ended");
+          }
+          break;
+
+        case "signal":
+          // SDP/ICE for another peer when calls use our own signaling
+          const [targetUserId, signalData] = args;
+          await this.makeAPICall("signal", {
+            roomId: this.roomId,
+            userId: this.userId,
+            sessionId: this.sessionId,
+            targetUserId,
+            data: signalData,
           });
           break;
 
         case "user-leave":
           const [leaveUserId, leaveRoomId] = args;
+          const leaveSessionId = this.sessionId;
+          this.leaveRoomLocally();
           await this.makeAPICall("leave-room", {
             roomId: leaveRoomId,
             userId: leaveUserId,
+            sessionId: leaveSessionId,
           });
           break;
       }
     } catch (error) {
-      console.error("❌ Socket emit error:", error);
+      log.error(`Emitting ${event} failed`, error);
       this.trigger("connect_error", error);
     }
   }
 
+  // Create a room ahead of joining it, with options such as a password
+  async createRoom(roomId, options = {}) {
+    return this.makeAPICall("create-room", { roomId, ...options });
+  }
+
+  // Fetch from the signaling API, backing off and retrying while the server
+  // answers 429 (rate limited)
+  async fetchAPI(url, options, attempt = 0) {
+    const response = await fetch(url, options);
+    if (response.status !== 429 || attempt >= this.maxRateLimitRetries) {
+      return response;
+    }
+
+    // Honour Retry-After, doubling it on every further rejection, with some
+    // jitter so clients throttled together don't retry together
+    const retryAfter = Number(response.headers.get("Retry-After")) || 1;
+    const delay = retryAfter * 1000 * 2 ** attempt + Math.random() * 500;
+    this.trigger("rate-limited", delay);
+
+    await new Promise((resolve) => setTimeout(resolve, delay));
+    return this.fetchAPI(url, options, attempt + 1);
+  }
+
   async makeAPICall(action, data) {
     const baseUrl =
       typeof window !== "undefined"
         ? window.location.origin
         : "http://localhost:3000";
 
-    const response = await fetch(`${baseUrl}/api/socket`, {
+    const response = await this.fetchAPI(`${baseUrl}/api/socket`, {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
@@ -120,6 +294,299 @@ class APISocket {
     return response.json();
   }
 
+  // Server-side state of a participant (audioEnabled, videoEnabled, ...)
+  getParticipant(userId) {
+    return this.participants.get(userId) || null;
+  }
+
+  // The id a participant goes by now, following any rejoins since
+  resolveUserId(userId) {
+    let current = userId;
+    const seen = new Set();
+    while (this.aliases.has(current) && !seen.has(current)) {
+      seen.add(current);
+      current = this.aliases.get(current);
+    }
+    return current;
+  }
+
+  // Replace the known participants with a server snapshot
+  setParticipants(participants) {
+    this.participants = new Map(participants.map((p) => [p.id, p]));
+    this.trigger("room-participants", participants);
+  }
+
+  // Replace the list of people waiting in the lobby
+  setLobby(waiting) {
+    this.lobby = waiting;
+    this.trigger("lobby-updated", waiting);
+  }
+
+  // Remember our own state so it is sent on (re)join, and publish it now if
+  // we are already in a room
+  async setLocalState(state) {
+    const changes = Object.fromEntries(
+      Object.entries(state).filter(
+        ([key, value]) => this.localState[key] !== value
+      )
+    );
+    if (Object.keys(changes).length === 0) return;
+
+    this.localState = { ...this.localState, ...changes };
+
+    if (this.isConnected && this.roomId && this.userId) {
+      await this.makeAPICall("update-state", {
+        roomId: this.roomId,
+        userId: this.userId,
+        sessionId: this.sessionId,
+        state: changes,
+      });
+    }
+  }
+
+  // Dispatch a room event coming from the stream or the polling loop,
+  // skipping anything at or before the cursor we have already seen
+  handleRoomEvent({ id, event, payload = {} }) {
+    if (id) {
+      if (id <= this.eventCursor) return;
+      this.eventCursor = id;
+    }
+
+    const { userId, participant } = payload;
+
+    // Role changes are about the participant in the payload, which may be
+    // us, whoever made them
+    if (event === "role-changed") {
+      this.participants.set(participant.id, participant);
+      this.trigger("participant-updated", participant);
+      return;
+    }
+
+    // Being removed or the room closing may come from the server itself,
+    // with no sender, and both end our time in the room
+    if (event === "user-kicked") {
+      if (payload.targetUserId !== this.userId) return;
+      this.leaveRoomLocally();
+      this.trigger("removed-from-room", payload.reason);
+      return;
+    }
+
+    if (event === "room-ended") {
+      this.leaveRoomLocally();
+      this.trigger("room-ended", userId, payload.reason);
+      return;
+    }
+
+    if (!userId || userId === this.userId) return;
+
+    if (participant) {
+      this.participants.set(userId, participant);
+    }
+
+    switch (event) {
+      case "user-connected":
+        if (this.lastKnownUsers.includes(userId)) return;
+        this.lastKnownUsers = [...this.lastKnownUsers, userId];
+        this.trigger("user-connected", userId);
+        break;
+
+      case "user-leave":
+        this.lastKnownUsers = this.lastKnownUsers.filter((id) => id !== userId);
+        this.participants.delete(userId);
+        // A rejoin from the same browser; the new id connects next
+        if (payload.replacedBy) {
+          this.aliases.set(userId, payload.replacedBy);
+          this.trigger("user-replaced", userId, payload.replacedBy);
+        }
+        this.trigger("user-leave", userId);
+        break;
+
+      case "user-toggle-audio":
+      case "user-toggle-video":
+        this.trigger(event, userId, participant);
+        break;
+
+      case "participant-updated":
+        this.trigger("participant-updated", participant);
+        break;
+
+      case "signal":
+        this.trigger("signal", userId, payload.data);
+        break;
+
+      case "room-locked":
+        this.roomInfo = { ...this.roomInfo, locked: payload.locked };
+        this.trigger("room-locked", payload.locked);
+        break;
+
+      // Host commands; userId is the host or co-host who sent them
+      case "force-mute":
+        this.trigger("force-mute", userId);
+        break;
+
+      case "lobby-updated":
+        this.setLobby(payload.waiting || []);
+        break;
+
+      // The host's decision while we wait in the lobby; once admitted we
+      // join for real with a fresh session
+      case "lobby-admitted":
+        this.stopStream();
+        this.stopPolling();
+        this.emit("join-room", this.roomId, this.userId, this.joinOptions);
+        break;
+
+      case "lobby-denied":
+        this.leaveRoomLocally();
+        this.trigger("lobby-denied", userId);
+        break;
+    }
+  }
+
+  // Fetch ICE servers for the room we joined; if that fails, the ones we
+  // had (or public STUN) stay in use
+  async loadIceConfig() {
+    const baseUrl =
+      typeof window !== "undefined"
+        ? window.location.origin
+        : "http://localhost:3000";
+
+    try {
+      const response = await this.fetchAPI(
+        `${baseUrl}/api/turn?roomId=${this.roomId}&userId=${this.userId}&sessionId=${this.sessionId}`,
+        { cache: "no-store" }
+      );
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      this.iceConfig = await response.json();
+    } catch (error) {
+      log.warn("Failed to load ICE servers", error);
+    }
+    return this.iceConfig;
+  }
+
+  // Diff the room's user list against what we know; used when events were
+  // trimmed from the room log before we could read them
+  async syncRoomUsers() {
+    const baseUrl =
+      typeof window !== "undefined"
+        ? window.location.origin
+        : "http://localhost:3000";
+
+    const response = await this.fetchAPI(
+      `${baseUrl}/api/socket?action=get-room-users&roomId=${this.roomId}&userId=${this.userId}&sessionId=${this.sessionId}`
+    );
+    const data = await response.json();
+
+    if (data.users) {
+      const userIds = data.users.map((user) => user.id);
+
+      // Check for new users
+      const currentUsers = new Set(userIds);
+      const previousUsers = new Set(this.lastKnownUsers);
+
+      // Find new users
+      currentUsers.forEach((userId) => {
+        if (!previousUsers.has(userId) && userId !== this.userId) {
+          this.trigger("user-connected", userId);
+        }
+      });
+
+      // Find users who left
+      previousUsers.forEach((userId) => {
+        if (!currentUsers.has(userId) && userId !== this.userId) {
+          this.trigger("user-leave", userId);
+        }
+      });
+
+      this.lastKnownUsers = userIds;
+      this.setParticipants(data.users);
+    }
+  }
+
+  // Open the Server-Sent Events channel for room updates, falling back to
+  // polling when the stream cannot be opened at all
+  startStream() {
+    if (this.eventSource || this.pollingInterval) return;
+
+    if (typeof window === "undefined" || !window.EventSource) {
+      this.startPolling();
+      return;
+    }
+
+    const eventSource = new EventSource(
+      `${window.location.origin}/api/socket/stream?roomId=${this.roomId}&userId=${this.userId}&sessionId=${this.sessionId}&cursor=${this.eventCursor}`
+    );
+    this.eventSource = eventSource;
+    let opened = false;
+
+    eventSource.onopen = () => {
+      opened = true;
+    };
+
+    eventSource.onerror = () => {
+      if (!opened) {
+        log.warn("Event stream unavailable, falling back to polling");
+        this.stopStream();
+        this.startPolling();
+        return;
+      }
+
+      // EventSource retries on its own unless the server refused the stream
+      if (eventSource.readyState === EventSource.CLOSED) {
+        this.stopStream();
+        this.handleReconnect();
+      }
+    };
+
+    [
+      "user-connected",
+      "user-leave",
+      "user-toggle-audio",
+      "user-toggle-video",
+      "participant-updated",
+      "signal",
+      "room-locked",
+      "role-changed",
+      "force-mute",
+      "user-kicked",
+      "room-ended",
+      "lobby-updated",
+      "lobby-admitted",
+      "lobby-denied",
+    ].forEach((event) => {
+      eventSource.addEventListener(event, (message) => {
+        try {
+          this.handleRoomEvent({
+            id: Number(message.lastEventId),
+            event,
+            payload: JSON.parse(message.data),
+          });
+        } catch (error) {
+          log.error(`Invalid ${event} stream event`, error);
+        }
+      });
+    });
+
+    eventSource.addEventListener("resync", () => {
+      this.syncRoomUsers().catch((error) => {
+        log.error("Room resync failed", error);
+      });
+    });
+
+    // Sent after any removal event, which has already left the room
+    eventSource.addEventListener("session-expired", () => {
+      this.stopStream();
+      if (this.roomId) this.handleReconnect();
+    });
+  }
+
+  stopStream() {
+    if (this.eventSource) {
+      this.eventSource.close();
+      this.eventSource = null;
+    }
+  }
+
   // Start polling for room updates
   startPolling() {
     if (this.pollingInterval) return;
@@ -131,43 +598,39 @@ class APISocket {
         // Ping to keep session alive
         await this.makeAPICall("ping", { sessionId: this.sessionId });
 
-        // Get room users
+        // Read room events since the last one we saw
         const baseUrl =
           typeof window !== "undefined"
             ? window.location.origin
             : "http://localhost:3000";
 
-        const response = await fetch(
-          `${baseUrl}/api/socket?action=get-room-users&roomId=${this.roomId}`
+        const response = await this.fetchAPI(
+          `${baseUrl}/api/socket?action=get-events&roomId=${this.roomId}&userId=${this.userId}&sessionId=${this.sessionId}&cursor=${this.eventCursor}`
         );
         const data = await response.json();
 
-        if (data.users) {
-          // Check for new users
-          const currentUsers = new Set(data.users);
-          const previousUsers = new Set(this.lastKnownUsers || []);
+        // Our session is gone; the events say why if we were removed,
+        // otherwise it timed out and we rejoin
+        if (response.status === 404) {
+          (data.events || []).forEach((event) => this.handleRoomEvent(event));
+          if (this.roomId) this.handleReconnect();
+          return;
+        }
 
-          // Find new users
-          currentUsers.forEach((userId) => {
-            if (!previousUsers.has(userId) && userId !== this.userId) {
-              this.trigger("user-connected", userId);
-            }
-          });
+        if (data.reset) {
+          await this.syncRoomUsers();
+        }
 
-          // Find users who left
-          previousUsers.forEach((userId) => {
-            if (!currentUsers.has(userId) && userId !== this.userId) {
-              this.trigger("user-leave", userId);
-            }
-          });
+        (data.events || []).forEach((event) => this.handleRoomEvent(event));
 
-          this.lastKnownUsers = data.users;
+        if (data.cursor > this.eventCursor) {
+          this.eventCursor = data.cursor;
         }
       } catch (error) {
-        console.error("❌ Polling error:", error);
+        log.error("Polling failed", error);
         this.handleReconnect();
       }
-    }, 2000); // Poll every 2 seconds
+    }, this.pollInterval);
   }
 
   stopPolling() {
@@ -179,20 +642,24 @@ class APISocket {
 
   handleReconnect() {
     if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-      console.error("❌ Max reconnection attempts reached");
+      log.error("Max reconnection attempts reached", {
+        attempts: this.reconnectAttempts,
+      });
       this.connectionStatus = "error";
       this.trigger("reconnect_failed");
       return;
     }
 
     this.reconnectAttempts++;
+    this.stopStream();
+    this.stopPolling();
     this.isConnected = false;
     this.connectionStatus = "connecting";
     this.trigger("reconnect_attempt", this.reconnectAttempts);
 
     setTimeout(() => {
       if (this.roomId && this.userId) {
-        this.emit("join-room", this.roomId, this.userId);
+        this.emit("join-room", this.roomId, this.userId, this.joinOptions);
       }
     }, this.reconnectDelay * this.reconnectAttempts);
   }
@@ -221,23 +688,69 @@ class APISocket {
         try {
           callback(...args);
         } catch (error) {
-          console.error(`Error in ${event} callback:`, error);
+          log.error(`Error in ${event} callback`, error);
         }
       });
     }
   }
 
+  // Forget the room once we left or the server closed our session (kicked,
+  // room ended, denied entry), so nothing tries to reconnect to it
+  leaveRoomLocally() {
+    this.stopStream();
+    this.stopPolling();
+    this.isConnected = false;
+    this.isConnecting = false;
+    this.connectionStatus = "disconnected";
+    this.sessionId = null;
+    this.resumeToken = null;
+    this.roomId = null;
+    this.lastKnownUsers = [];
+    this.participants = new Map();
+    this.aliases = new Map();
+    this.lobby = [];
+  }
+
+  // Leave from a page that is closing. Requests still in flight are
+  // cancelled on unload, but a beacon (or keepalive fetch) is delivered
+  // after the page is gone, so the room sees us leave right away.
+  leaveOnUnload() {
+    if (!this.roomId || !this.userId || !this.sessionId) return;
+
+    const url = `${window.location.origin}/api/socket`;
+    const body = JSON.stringify({
+      action: "leave-room",
+      roomId: this.roomId,
+      userId: this.userId,
+      sessionId: this.sessionId,
+    });
+    // Sent as text/plain, which beacons may always carry
+    const queued = navigator.sendBeacon?.(url, body);
+    if (!queued) {
+      fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body,
+        keepalive: true,
+      }).catch(() => {});
+    }
+
+    this.leaveRoomLocally();
+  }
+
   disconnect() {
+    this.stopStream();
     this.stopPolling();
     this.isConnected = false;
     this.isConnecting = false;
     this.connectionStatus = "disconnected";
     this.trigger("disconnect", "manual");
 
-    if (this.roomId && this.userId) {
+    if (this.roomId && this.userId && this.sessionId) {
       this.makeAPICall("leave-room", {
         roomId: this.roomId,
         userId: this.userId,
+        sessionId: this.sessionId,
       });
     }
   }
@@ -249,41 +762,75 @@ export const SocketProvider = (props) => {
   const socketRef = useRef(null);
 
   useEffect(() => {
-    console.log("🔄 Initializing API-based socket connection");
+    log.debug("Initializing API-based socket connection");
 
     const apiSocket = new APISocket();
     socketRef.current = apiSocket;
     setSocket(apiSocket);
 
+    // Defaults apply until the deployment's timings arrive, which is
+    // normally before the first join
+    loadClientConfig().then((config) => apiSocket.configure(config));
+
     // Handle connection events
     apiSocket.on("connecting", () => {
-      console.log("🔄 Socket connecting...");
+      log.debug("Connecting");
     });
 
     apiSocket.on("connect", () => {
-      console.log("✅ Socket connected!");
+      log.info("Connected", {
+        roomId: apiSocket.roomId,
+        sessionId: apiSocket.sessionId,
+      });
     });
 
     apiSocket.on("disconnect", (reason) => {
-      console.log("❌ Socket disconnected:", reason);
+      log.info("Disconnected", { reason });
     });
 
     apiSocket.on("reconnect_attempt", (attemptNumber) => {
-      console.log("🔄 Socket reconnection attempt:", attemptNumber);
+      log.warn("Reconnecting", { attempt: attemptNumber });
+    });
+
+    apiSocket.on("reconnect", (attemptNumber) => {
+      log.info("Reconnected", { attempt: attemptNumber });
+    });
+
+    apiSocket.on("rate-limited", (delay) => {
+      log.warn("Rate limited, backing off", { delayMs: Math.round(delay) });
     });
 
     apiSocket.on("reconnect_failed", () => {
-      console.error("❌ Socket reconnection failed after all attempts");
+      log.error("Reconnection failed after all attempts");
     });
 
     apiSocket.on("connect_error", (error) => {
-      console.error("❌ Socket connection error:", error.message);
+      log.error("Connection error", {
+        message: error.message,
+        code: error.code,
+      });
     });
 
+    // pagehide fires when the page really goes, mobile browsers included
+    // (beforeunload also fires for navigations that get cancelled). A page
+    // kept in the back-forward cache stays in the room, and when it is
+    // shown again it reconnects, resuming its session if that is still
+    // alive.
+    const handlePageHide = (event) => {
+      if (!event.persisted) apiSocket.leaveOnUnload();
+    };
+    const handlePageShow = (event) => {
+      if (event.persisted && apiSocket.roomId) apiSocket.handleReconnect();
+    };
+    window.addEventListener("pagehide", handlePageHide);
+    window.addEventListener("pageshow", handlePageShow);
+
     // Cleanup on unmount
     return () => {
+      window.removeEventListener("pagehide", handlePageHide);
+      window.removeEventListener("pageshow", handlePageShow);
       if (socketRef.current) {
-        console.log("🧹 Cleaning up socket connection...");
+        log.debug("Cleaning up socket connection");
         socketRef.current.disconnect();
       }
     };
@@ -0,0 +1,22 @@
+import { POST } from "@/app/api/socket/route";
+
+// Send a signaling request the way the client does, resolving to the
+// status, headers and parsed body
+export const post = async (body, { headers = {}, handler = POST } = {}) => {
+  const response = await handler(
+    new Request("http://localhost:3000/api/socket", {
+      method: "POST",
+      headers,
+      body: JSON.stringify(body),
+    })
+  );
+  return {
+    status: response.status,
+    headers: response.headers,
+    body: await response.json(),
+  };
+};
+
+// Join a room, resolving to the parsed body
+export const join = async (roomId, userId, options = {}) =>
+  (await post({ action: "join-room", roomId, userId, ...options })).body;
@@ -0,0 +1,67 @@
+import { beforeEach, describe, expect, it } from "vitest";
+
+import { getStore } from "@/lib/signaling/storage";
+import { join, post } from "./api";
+
+let roomCount = 0;
+
+describe("waiting room", () => {
+  let roomId;
+  let host;
+
+  beforeEach(async () => {
+    roomId = `lobby-${++roomCount}`;
+    const { body } = await post({ action: "create-room", roomId, lobby: true });
+    host = await join(roomId, "host", { hostKey: body.hostKey });
+  });
+
+  const decide = (action, targetUserId, by = host, userId = "host") =>
+    post({
+      action,
+      roomId,
+      userId,
+      sessionId: by.sessionId,
+      targetUserId,
+    });
+
+  it("holds newcomers until a host admits them", async () => {
+    const waiting = await post({ action: "join-room", roomId, userId: "a" });
+    expect(waiting.status).toBe(202);
+    expect(waiting.body.waiting).toBe(true);
+    expect(
+      (await getStore().getRoom(roomId)).users.map(({ id }) => id)
+    ).toEqual(["host"]);
+
+    const admit = await decide("admit-user", "a");
+    expect(admit.status).toBe(200);
+
+    const joined = await join(roomId, "a");
+    expect(joined.success).toBe(true);
+    expect(joined.roomUsers).toEqual(["host", "a"]);
+    expect(joined.lobby).toEqual([]);
+  });
+
+  it("ends the session of someone a host denies", async () => {
+    const waiting = await post({ action: "join-room", roomId, userId: "a" });
+
+    const deny = await decide("deny-user", "a");
+    expect(deny.status).toBe(200);
+    expect(deny.body.waiting).toEqual([]);
+    expect(await getStore().getSession(waiting.body.sessionId)).toBeNull();
+
+    // Denied is not admitted: trying again goes back to the lobby
+    const again = await post({ action: "join-room", roomId, userId: "a" });
+    expect(again.status).toBe(202);
+  });
+
+  it("only lets hosts and co-hosts decide", async () => {
+    await post({ action: "join-room", roomId, userId: "a" });
+    await decide("admit-user", "a");
+    const guest = await join(roomId, "a");
+    await post({ action: "join-room", roomId, userId: "b" });
+
+    const admit = await decide("admit-user", "b", guest, "a");
+    expect(admit.status).toBe(403);
+    expect(admit.body.code).toBe("forbidden");
+  });
+});
@@ -0,0 +1,33 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+
+import { GET } from "@/app/api/metrics/route";
+
+const scrape = (authorization) =>
+  GET(
+    new Request("http://localhost:3000/api/metrics", {
+      headers: authorization ? { authorization } : {},
+    })
+  );
+
+describe("metrics endpoint", () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it("requires the metrics token when one is set", async () => {
+    vi.stubEnv("METRICS_TOKEN", "scrape-me");
+
+    expect((await scrape()).status).toBe(401);
+    expect((await scrape("Bearer wrong-token")).status).toBe(401);
+
+    const response = await scrape("Bearer scrape-me");
+    expect(response.status).toBe(200);
+    expect(await response.text()).toContain("streamtalk_rooms");
+  });
+
+  it("is open when no token is set", async () => {
+    vi.stubEnv("METRICS_TOKEN", "");
+
+    expect((await scrape()).status).toBe(200);
+  });
+});
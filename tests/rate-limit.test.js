@@ -0,0 +1,76 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+import { join, post } from "./api";
+
+const createRoom = (roomId, options) =>
+  post({ action: "create-room", roomId }, options);
+
+describe("rate limits", () => {
+  // Buckets outlive each test, so start every test an hour later with
+  // them refilled, then hold the clock still
+  let now = Date.now();
+
+  beforeEach(() => {
+    now += 60 * 60 * 1000;
+    vi.useFakeTimers({ toFake: ["Date"], now });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllEnvs();
+    vi.resetModules();
+  });
+
+  it("caps room creation even without a client address", async () => {
+    for (let i = 0; i < 60; i++) {
+      // Forwarded addresses prove nothing without a trusted proxy
+      const { status } = await createRoom(`flood-${i}`, {
+        headers: { "x-forwarded-for": `198.51.100.${i}` },
+      });
+      expect(status).toBe(200);
+    }
+
+    const limited = await createRoom("flood-60");
+    expect(limited.status).toBe(429);
+    expect(limited.body.code).toBe("rate-limited");
+    expect(Number(limited.headers.get("retry-after"))).toBeGreaterThan(0);
+  });
+
+  it("gives each address behind a trusted proxy its own budget", async () => {
+    vi.stubEnv("TRUST_PROXY", "1");
+    vi.resetModules();
+    const { POST } = await import("@/app/api/socket/route");
+    const from = (ip) => ({
+      headers: { "x-forwarded-for": ip },
+      handler: POST,
+    });
+
+    for (let i = 0; i < 10; i++) {
+      expect(
+        (await createRoom(`proxied-${i}`, from("203.0.113.1"))).status
+      ).toBe(200);
+    }
+    expect((await createRoom("proxied-10", from("203.0.113.1"))).status).toBe(
+      429
+    );
+    expect((await createRoom("proxied-11", from("203.0.113.2"))).status).toBe(
+      200
+    );
+  });
+
+  it("limits a session, but not ids nobody was given", async () => {
+    const { sessionId } = await join("pings", "a");
+    const ping = (id) => post({ action: "ping", sessionId: id });
+
+    for (let i = 0; i < 60; i++) {
+      expect((await ping(sessionId)).status).toBe(200);
+    }
+    expect((await ping(sessionId)).status).toBe(429);
+
+    // Made-up ids are turned away without a bucket of their own
+    const madeUp = `session_${"f".repeat(32)}`;
+    for (let i = 0; i < 61; i++) {
+      expect((await ping(madeUp)).status).toBe(404);
+    }
+  });
+});
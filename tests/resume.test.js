@@ -0,0 +1,60 @@
+import { describe, expect, it } from "vitest";
+
+import { getStore } from "@/lib/signaling/storage";
+import { join, post } from "./api";
+
+const roomUserIds = async (roomId) =>
+  (await getStore().getRoom(roomId)).users.map(({ id }) => id);
+
+describe("resuming a session", () => {
+  it("picks the session back up with its resume token", async () => {
+    const first = await join("resume", "a");
+    await join("resume", "b");
+
+    const resumed = await join("resume", "a", {
+      sessionId: first.sessionId,
+      resumeToken: first.resumeToken,
+      state: { audioEnabled: false },
+    });
+    expect(resumed.resumed).toBe(true);
+    expect(resumed.sessionId).toBe(first.sessionId);
+    expect(resumed.participants).toContainEqual(
+      expect.objectContaining({ id: "a", audioEnabled: false })
+    );
+    expect(await roomUserIds("resume")).toEqual(["a", "b"]);
+  });
+
+  it("starts a new session when the token is wrong", async () => {
+    const first = await join("stale-token", "a");
+
+    const rejoined = await join("stale-token", "a", {
+      sessionId: first.sessionId,
+      resumeToken: "0".repeat(32),
+    });
+    expect(rejoined.success).toBe(true);
+    expect(rejoined.resumed).toBeUndefined();
+    expect(rejoined.sessionId).not.toBe(first.sessionId);
+    expect(await getStore().getSession(first.sessionId)).toBeNull();
+    expect(await roomUserIds("stale-token")).toEqual(["a"]);
+  });
+
+  it("starts a new session once the old one is gone", async () => {
+    const first = await join("stale-session", "a");
+    await join("stale-session", "b");
+    await post({
+      action: "leave-room",
+      roomId: "stale-session",
+      userId: "a",
+      sessionId: first.sessionId,
+    });
+
+    const rejoined = await join("stale-session", "a", {
+      sessionId: first.sessionId,
+      resumeToken: first.resumeToken,
+    });
+    expect(rejoined.success).toBe(true);
+    expect(rejoined.resumed).toBeUndefined();
+    expect(rejoined.sessionId).not.toBe(first.sessionId);
+    expect(await roomUserIds("stale-session")).toEqual(["b", "a"]);
+  });
+});
@@ -0,0 +1,41 @@
+import { describe, expect, it } from "vitest";
+
+import { join, post } from "./api";
+
+describe("room capacity", () => {
+  it("turns people away once a room is full", async () => {
+    await post({ action: "create-room", roomId: "small", maxParticipants: 2 });
+    const a = await join("small", "a");
+    await join("small", "b");
+
+    const refused = await post({
+      action: "join-room",
+      roomId: "small",
+      userId: "c",
+    });
+    expect(refused.status).toBe(409);
+    expect(refused.body.code).toBe("room-full");
+    expect(refused.body.maxParticipants).toBe(2);
+
+    // Someone already in the room still gets back in
+    const rejoined = await join("small", "a", {
+      sessionId: a.sessionId,
+      resumeToken: a.resumeToken,
+    });
+    expect(rejoined.success).toBe(true);
+  });
+
+  it("makes room again once someone leaves", async () => {
+    await post({ action: "create-room", roomId: "pair", maxParticipants: 2 });
+    const a = await join("pair", "a");
+    await join("pair", "b");
+
+    await post({
+      action: "leave-room",
+      roomId: "pair",
+      userId: "a",
+      sessionId: a.sessionId,
+    });
+    expect((await join("pair", "c")).success).toBe(true);
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, expect, it } from "vitest";
+
+import { join, post } from "./api";
+
+describe("password-protected rooms", () => {
+  it("only lets in people with the right password", async () => {
+    await post({
+      action: "create-room",
+      roomId: "secret",
+      password: "hunter2",
+    });
+
+    const missing = await post({
+      action: "join-room",
+      roomId: "secret",
+      userId: "a",
+    });
+    expect(missing.status).toBe(401);
+    expect(missing.body.code).toBe("password-required");
+
+    const wrong = await post({
+      action: "join-room",
+      roomId: "secret",
+      userId: "a",
+      password: "hunter3",
+    });
+    expect(wrong.status).toBe(403);
+    expect(wrong.body.code).toBe("invalid-password");
+
+    const right = await join("secret", "a", { password: "hunter2" });
+    expect(right.success).toBe(true);
+  });
+
+  it("keeps newcomers out of a locked room", async () => {
+    const { body } = await post({ action: "create-room", roomId: "locked" });
+    const host = await join("locked", "host", { hostKey: body.hostKey });
+
+    const lock = await post({
+      action: "lock-room",
+      roomId: "locked",
+      userId: "host",
+      sessionId: host.sessionId,
+      locked: true,
+    });
+    expect(lock.status).toBe(200);
+
+    const newcomer = await post({
+      action: "join-room",
+      roomId: "locked",
+      userId: "b",
+    });
+    expect(newcomer.status).toBe(423);
+    expect(newcomer.body.code).toBe("room-locked");
+  });
+});
@@ -0,0 +1,208 @@
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { afterAll, beforeAll, describe, expect, it } from "vitest";
+
+import { MemoryStore } from "@/lib/signaling/storage/memory-store";
+import { FileStore } from "@/lib/signaling/storage/file-store";
+import { RedisStore } from "@/lib/signaling/storage/redis-store";
+import { RedisEventBus } from "@/lib/signaling/storage/redis-event-bus";
+import { RespClient } from "@/lib/signaling/storage/resp-client";
+
+// The Redis adapters run against a real server when one is given, e.g.
+// REDIS_URL=redis://127.0.0.1:6379 npm test. Keys are namespaced per run.
+const { REDIS_URL } = process.env;
+const REDIS_PREFIX = `streamtalk-test:${process.pid}:${Date.now()}:`;
+
+const room = (id, users = []) => ({ id, users, waiting: [] });
+
+// Add a user to a room, creating it if needed
+const addUser = (roomId, userId) => (current) => {
+  const next = current || room(roomId);
+  next.users.push({ id: userId });
+  return next;
+};
+
+// What every store must do, whatever it keeps rooms in
+const describeStore = (name, createStore, cleanup = async () => {}) => {
+  describe(name, () => {
+    let store;
+
+    beforeAll(async () => {
+      store = await createStore();
+    });
+
+    afterAll(async () => {
+      await cleanup(store);
+    });
+
+    it("saves, lists and deletes rooms", async () => {
+      await store.saveRoom(room("crud", [{ id: "a" }]));
+      expect(await store.getRoom("crud")).toEqual(room("crud", [{ id: "a" }]));
+      expect((await store.listRooms()).map(({ id }) => id)).toContain("crud");
+
+      await store.deleteRoom("crud");
+      expect(await store.getRoom("crud")).toBeNull();
+    });
+
+    it("saves, lists and deletes sessions", async () => {
+      const session = { id: "session_1_a", userId: "a", roomId: "crud" };
+      await store.saveSession(session);
+      expect(await store.getSession(session.id)).toEqual(session);
+      expect(await store.listSessions()).toContainEqual(session);
+
+      await store.deleteSession(session.id);
+      expect(await store.getSession(session.id)).toBeNull();
+    });
+
+    it("touches only sessions that still exist", async () => {
+      const session = { id: "session_2_a", userId: "a", roomId: "crud" };
+      await store.saveSession({ ...session, lastSeen: 1 });
+      expect(await store.touchSession(session.id, 2)).toEqual({
+        ...session,
+        lastSeen: 2,
+      });
+      expect((await store.getSession(session.id)).lastSeen).toBe(2);
+
+      await store.deleteSession(session.id);
+      expect(await store.touchSession(session.id, 3)).toBeNull();
+      expect(await store.getSession(session.id)).toBeNull();
+    });
+
+    it("creates, keeps and deletes rooms through updateRoom", async () => {
+      expect(await store.updateRoom("update", addUser("update", "a"))).toEqual(
+        room("update", [{ id: "a" }])
+      );
+
+      // undefined leaves the room as it is
+      expect(await store.updateRoom("update", () => undefined)).toBeUndefined();
+      expect(await store.getRoom("update")).toEqual(
+        room("update", [{ id: "a" }])
+      );
+
+      expect(await store.updateRoom("update", () => null)).toBeNull();
+      expect(await store.getRoom("update")).toBeNull();
+    });
+
+    it("leaves the room alone when the update throws", async () => {
+      await store.saveRoom(room("throws", [{ id: "a" }]));
+      await expect(
+        store.updateRoom("throws", (current) => {
+          current.users = [];
+          throw new Error("changed my mind");
+        })
+      ).rejects.toThrow("changed my mind");
+      expect(await store.getRoom("throws")).toEqual(
+        room("throws", [{ id: "a" }])
+      );
+      await store.deleteRoom("throws");
+    });
+
+    it("loses no concurrent updates", async () => {
+      const userIds = Array.from({ length: 20 }, (_, i) => `user-${i}`);
+      await Promise.all(
+        userIds.map((userId) =>
+          store.updateRoom("concurrent", addUser("concurrent", userId))
+        )
+      );
+
+      const { users } = await store.getRoom("concurrent");
+      expect(users.map(({ id }) => id).sort()).toEqual([...userIds].sort());
+      await store.deleteRoom("concurrent");
+    });
+  });
+};
+
+describeStore("MemoryStore", () => new MemoryStore());
+
+describeStore(
+  "FileStore",
+  async () => {
+    const directory = await mkdtemp(path.join(tmpdir(), "streamtalk-"));
+    return new FileStore(path.join(directory, "signaling.json"));
+  },
+  (store) => rm(path.dirname(store.filePath), { recursive: true, force: true })
+);
+
+// Drop every key this run created
+const flushTestKeys = async () => {
+  const client = new RespClient(REDIS_URL);
+  const keys = await client.command("KEYS", `${REDIS_PREFIX}*`);
+  if (keys.length > 0) await client.command("DEL", ...keys);
+  client.quit();
+};
+
+describe.skipIf(!REDIS_URL)("against a Redis server", () => {
+  afterAll(flushTestKeys);
+
+  describeStore(
+    "RedisStore",
+    () => new RedisStore(REDIS_URL, REDIS_PREFIX),
+    (store) => {
+      store.client.quit();
+      store.transactions.quit();
+    }
+  );
+
+  it("RespClient runs commands and decodes every reply type", async () => {
+    const client = new RespClient(REDIS_URL);
+    const key = `${REDIS_PREFIX}resp`;
+
+    expect(await client.command("SET", key, "héllo")).toBe("OK");
+    expect(await client.command("GET", key)).toBe("héllo");
+    expect(await client.command("GET", `${key}:missing`)).toBeNull();
+    expect(await client.command("RPUSH", `${key}:list`, "a", "b")).toBe(2);
+    expect(await client.command("LRANGE", `${key}:list`, 0, -1)).toEqual([
+      "a",
+      "b",
+    ]);
+    await expect(client.command("INCR", key)).rejects.toThrow();
+    client.quit();
+  });
+
+  it("RedisStore retries an update when another instance got there first", async () => {
+    const first = new RedisStore(REDIS_URL, REDIS_PREFIX);
+    const second = new RedisStore(REDIS_URL, REDIS_PREFIX);
+    await first.saveRoom(room("race"));
+
+    // Every update from one instance races one from the other
+    await Promise.all(
+      Array.from({ length: 10 }, (_, i) => [
+        first.updateRoom("race", addUser("race", `first-${i}`)),
+        second.updateRoom("race", addUser("race", `second-${i}`)),
+      ]).flat()
+    );
+
+    expect((await first.getRoom("race")).users).toHaveLength(20);
+    [first, second].forEach((store) => {
+      store.client.quit();
+      store.transactions.quit();
+    });
+  });
+
+  it("RedisEventBus delivers events to every instance, numbered in order", async () => {
+    const publisher = new RedisEventBus(REDIS_URL, REDIS_PREFIX);
+    const listener = new RedisEventBus(REDIS_URL, REDIS_PREFIX);
+    const received = [];
+    listener.listen((roomId, entry) => received.push({ roomId, ...entry }));
+    // Give SUBSCRIBE a moment to reach the server
+    await new Promise((resolve) => setTimeout(resolve, 200));
+
+    await publisher.publish("bus", "user-connected", { userId: "a" });
+    await publisher.publish("bus", "user-leave", { userId: "a" });
+    await expect.poll(() => received.length).toBe(2);
+
+    expect(received.map(({ event }) => event)).toEqual([
+      "user-connected",
+      "user-leave",
+    ]);
+    expect(received[0]).toMatchObject({
+      roomId: "bus",
+      payload: { userId: "a" },
+    });
+    expect(received[1].id).toBe(received[0].id + 1);
+
+    publisher.client.quit();
+    listener.subscriber.quit();
+  });
+});
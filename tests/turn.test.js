@@ -0,0 +1,50 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+
+import { POST } from "@/app/api/socket/route";
+import { GET } from "@/app/api/turn/route";
+
+const post = async (body) =>
+  (
+    await POST(
+      new Request("http://localhost:3000/api/socket", {
+        method: "POST",
+        body: JSON.stringify(body),
+      })
+    )
+  ).json();
+
+const getTurn = (params) =>
+  GET(
+    new Request(`http://localhost:3000/api/turn?${new URLSearchParams(params)}`)
+  );
+
+describe("TURN credentials", () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it("are only issued to a session in the room", async () => {
+    vi.stubEnv("TURN_URLS", "turn:turn.example.com:3478");
+    vi.stubEnv("TURN_SECRET", "secret");
+    const { sessionId } = await post({
+      action: "join-room",
+      roomId: "turn",
+      userId: "a",
+    });
+
+    expect((await getTurn({})).status).toBe(400);
+    expect(
+      (await getTurn({ roomId: "other", userId: "a", sessionId })).status
+    ).toBe(404);
+
+    const response = await getTurn({ roomId: "turn", userId: "a", sessionId });
+    expect(response.status).toBe(200);
+    const { iceServers, ttl } = await response.json();
+    expect(iceServers.at(-1)).toMatchObject({
+      urls: ["turn:turn.example.com:3478"],
+      username: expect.stringMatching(/:a$/),
+    });
+    // Short-lived unless the deployment says otherwise
+    expect(ttl).toBe(60 * 60);
+  });
+});
@@ -0,0 +1,114 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+import { GET, POST } from "@/app/api/socket/route";
+import { GET as getTurn } from "@/app/api/turn/route";
+import { getRoomEventsSince, isEventFor } from "@/lib/signaling/room-events";
+import { getStore } from "@/lib/signaling/storage";
+import { APISocket } from "@/store/socket";
+
+// Stands in for the browser's EventSource; the test delivers what the
+// stream route would send
+class FakeEventSource {
+  static CLOSED = 2;
+  static instances = [];
+
+  constructor(url) {
+    this.url = new URL(url);
+    this.listeners = new Map();
+    this.readyState = 1;
+    FakeEventSource.instances.push(this);
+  }
+
+  addEventListener(event, listener) {
+    this.listeners.set(event, [...(this.listeners.get(event) || []), listener]);
+  }
+
+  close() {
+    this.readyState = FakeEventSource.CLOSED;
+  }
+
+  dispatch(event, data = {}, id) {
+    if (this.readyState === FakeEventSource.CLOSED) return;
+    (this.listeners.get(event) || []).forEach((listener) =>
+      listener({ data: JSON.stringify(data), lastEventId: String(id || "") })
+    );
+  }
+}
+
+// Send each client's API calls straight to the route handlers
+const routeFetch = async (url, options = {}) => {
+  const request = new Request(url, options);
+  if (new URL(url).pathname === "/api/turn") return getTurn(request);
+  return request.method === "POST" ? POST(request) : GET(request);
+};
+
+// Deliver everything a client's stream would carry since it joined
+const deliverRoomEvents = (stream, roomId, userId) => {
+  getRoomEventsSince(roomId, 0)
+    .events.filter((entry) => isEventFor(entry, userId))
+    .forEach((entry) => stream.dispatch(entry.event, entry.payload, entry.id));
+};
+
+const joinTab = async (roomId, userId, clientId) => {
+  const socket = new APISocket();
+  const removals = [];
+  socket.on("removed-from-room", (reason) => removals.push(reason));
+  await socket.emit("join-room", roomId, userId, { clientId });
+  return { socket, removals };
+};
+
+const roomUserIds = async (roomId) =>
+  (await getStore().getRoom(roomId)).users.map((user) => user.id);
+
+describe("rejoining a room from a second tab", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.stubGlobal("fetch", routeFetch);
+    vi.stubGlobal("EventSource", FakeEventSource);
+    vi.stubGlobal("window", {
+      location: { origin: "http://localhost:3000" },
+      EventSource: FakeEventSource,
+    });
+    FakeEventSource.instances = [];
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+  });
+
+  it("sends the old tab home instead of letting it take the room back", async () => {
+    const tabA = await joinTab("two-tabs", "tab-a", "browser-1");
+    const streamA = FakeEventSource.instances.at(-1);
+    const tabB = await joinTab("two-tabs", "tab-b", "browser-1");
+
+    expect(await roomUserIds("two-tabs")).toEqual(["tab-b"]);
+
+    // The old tab hears it was replaced, then its stream reports the
+    // session gone, which used to send it back in to replace the new tab
+    deliverRoomEvents(streamA, "two-tabs", "tab-a");
+    streamA.dispatch("session-expired", { sessionId: "gone" });
+    await vi.advanceTimersByTimeAsync(30_000);
+
+    expect(tabA.removals).toEqual(["replaced"]);
+    expect(tabA.socket.roomId).toBeNull();
+    expect(tabB.removals).toEqual([]);
+    expect(tabB.socket.isConnected).toBe(true);
+    expect(await roomUserIds("two-tabs")).toEqual(["tab-b"]);
+  });
+
+  it("tells a polling tab it was replaced once its session is gone", async () => {
+    vi.stubGlobal("window", { location: { origin: "http://localhost:3000" } });
+
+    const tabA = await joinTab("two-tabs-polling", "tab-a", "browser-2");
+    const tabB = await joinTab("two-tabs-polling", "tab-b", "browser-2");
+    await vi.advanceTimersByTimeAsync(30_000);
+
+    expect(tabA.removals).toEqual(["replaced"]);
+    expect(tabA.socket.roomId).toBeNull();
+    expect(tabB.socket.isConnected).toBe(true);
+    expect(await roomUserIds("two-tabs-polling")).toEqual(["tab-b"]);
+
+    tabB.socket.disconnect();
+  });
+});
@@ -0,0 +1,57 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+
+import { POST } from "@/app/api/socket/route";
+
+const post = async (body) =>
+  (
+    await POST(
+      new Request("http://localhost:3000/api/socket", {
+        method: "POST",
+        body: JSON.stringify(body),
+      })
+    )
+  ).json();
+
+describe("webhooks", () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    vi.unstubAllGlobals();
+  });
+
+  it("lets everyone still in the room leave when the host ends it", async () => {
+    const deliveries = [];
+    vi.stubEnv("WEBHOOK_URLS", "http://webhooks.test/");
+    vi.stubGlobal("fetch", async (url, { body }) => {
+      deliveries.push(JSON.parse(body));
+      return new Response(null, { status: 204 });
+    });
+
+    const { hostKey } = await post({ action: "create-room", roomId: "ends" });
+    const host = await post({
+      action: "join-room",
+      roomId: "ends",
+      userId: "host",
+      hostKey,
+    });
+    await post({ action: "join-room", roomId: "ends", userId: "guest" });
+    await post({
+      action: "end-room",
+      roomId: "ends",
+      userId: "host",
+      sessionId: host.sessionId,
+    });
+
+    await vi.waitFor(() =>
+      expect(deliveries.map(({ event }) => event)).toContain("room-ended")
+    );
+    const ending = deliveries
+      .filter(({ event }) => ["participant-left", "room-ended"].includes(event))
+      .map(({ event, data }) => [event, data.userId, data.reason]);
+    expect(ending).toEqual([
+      ["participant-left", "host", "ended"],
+      ["participant-left", "guest", "ended"],
+      ["room-ended", undefined, "ended"],
+    ]);
+    expect(deliveries.at(-2).data.participantCount).toBe(0);
+  });
+});
@@ -3,6 +3,10 @@
  * Helps diagnose and fix common audio issues in WebRTC connections
  */
 
+import { createLogger } from "@/lib/logger";
+
+const log = createLogger("media");
+
 export class AudioDiagnostics {
   constructor() {
     this.diagnostics = {
@@ -18,7 +22,7 @@ export class AudioDiagnostics {
    * Comprehensive audio system check
    */
   async performFullDiagnostic() {
-    console.log("🔍 Starting comprehensive audio diagnostic...");
+    log.info("Starting audio diagnostic");
 
     const results = {
       permissions: await this.checkPermissions(),
@@ -28,7 +32,7 @@ export class AudioDiagnostics {
       network: await this.checkNetworkConditions(),
     };
 
-    console.log("📊 Audio Diagnostic Results:", results);
+    log.info("Audio diagnostic results", results);
     return results;
   }
 
@@ -45,11 +49,11 @@ export class AudioDiagnostics {
         granted: permissionStatus.state === "granted",
       };
 
-      console.log("🎤 Microphone permission:", result);
+      log.debug("Microphone permission", result);
       this.diagnostics.permissions = result;
       return result;
     } catch (error) {
-      console.error("❌ Permission check failed:", error);
+      log.error("Permission check failed", error);
       return { error: error.message, granted: false };
     }
   }
@@ -84,11 +88,11 @@ export class AudioDiagnostics {
         },
       };
 
-      console.log("🔊 Audio devices:", result);
+      log.debug("Audio devices", result);
       this.diagnostics.devices = result;
       return result;
     } catch (error) {
-      console.error("❌ Device enumeration failed:", error);
+      log.error("Device enumeration failed", error);
       return { error: error.message };
     }
   }
@@ -121,11 +125,11 @@ export class AudioDiagnostics {
       // Clean up test stream
       stream.getTracks().forEach((track) => track.stop());
 
-      console.log("🎛️ Audio constraints test:", result);
+      log.debug("Audio constraints test", result);
       this.diagnostics.constraints = result;
       return result;
     } catch (error) {
-      console.error("❌ Constraints test failed:", error);
+      log.error("Constraints test failed", error);
       return { error: error.message, success: false };
     }
   }
@@ -143,7 +147,7 @@ export class AudioDiagnostics {
       mozRTCPeerConnection: !!window.mozRTCPeerConnection,
     };
 
-    console.log("🌐 Browser WebRTC support:", support);
+    log.debug("Browser WebRTC support", support);
     return support;
   }
 
@@ -163,7 +167,7 @@ export class AudioDiagnostics {
       saveData: connection?.saveData || false,
     };
 
-    console.log("🌍 Network conditions:", result);
+    log.debug("Network conditions", result);
     return result;
   }
 
@@ -172,7 +176,7 @@ export class AudioDiagnostics {
    */
   async monitorAudioLevels(stream, duration = 5000) {
     if (!stream) {
-      console.error("❌ No stream provided for audio monitoring");
+      log.error("No stream provided for audio monitoring");
       return null;
     }
 
@@ -206,7 +210,7 @@ export class AudioDiagnostics {
             hasAudio: maxLevel > 0,
             averageLevel: maxLevel / samples,
           };
-          console.log("📊 Audio level monitoring:", result);
+          log.debug("Audio level monitoring", result);
           resolve(result);
         }
       };
@@ -257,10 +261,10 @@ export class AudioDiagnostics {
         volumeControl: true,
       };
 
-      console.log("🔊 Speaker test result:", result);
+      log.info("Speaker test result", result);
       return result;
     } catch (error) {
-      console.error("❌ Speaker test failed:", error);
+      log.error("Speaker test failed", error);
       return {
         error: error.message,
         success: false,
@@ -290,10 +294,10 @@ export class AudioDiagnostics {
       withEcho.getTracks().forEach((track) => track.stop());
       withoutEcho.getTracks().forEach((track) => track.stop());
 
-      console.log("🔄 Echo cancellation test:", result);
+      log.debug("Echo cancellation test", result);
       return result;
     } catch (error) {
-      console.error("❌ Echo cancellation test failed:", error);
+      log.error("Echo cancellation test failed", error);
       return { error: error.message, echoCancellationSupported: false };
     }
   }
@@ -309,7 +313,7 @@ export class AudioDiagnostics {
       recommendations: this.generateRecommendations(),
     };
 
-    console.log("📋 Audio Diagnostic Report:", report);
+    log.info("Audio diagnostic report", report);
     return report;
   }
 
@@ -392,10 +396,10 @@ export const applyAudioOutputDevice = async (deviceId) => {
       }
     }
     
-    console.log('🔊 Audio output device applied:', results);
+    log.debug('Audio output device applied', { results });
     return results;
   } catch (error) {
-    console.error('❌ Failed to apply audio output device:', error);
+    log.error('Failed to apply audio output device', error);
     return [];
   }
 };
@@ -416,16 +420,18 @@ export const createAudioLevelMonitor = (stream, onLevelChange) => {
   
   source.connect(analyser);
   
+  let frame = null;
   const monitor = () => {
     analyser.getByteFrequencyData(dataArray);
     const level = Math.max(...dataArray);
     onLevelChange(level);
-    requestAnimationFrame(monitor);
+    frame = requestAnimationFrame(monitor);
   };
   
   monitor();
   
   return () => {
+    cancelAnimationFrame(frame);
     audioContext.close();
   };
 };
\ No newline at end of file
@@ -0,0 +1,20 @@
+import { fileURLToPath } from "node:url";
+import { defineConfig } from "vitest/config";
+
+export default defineConfig({
+  resolve: {
+    // Same "@/" alias as jsconfig.json
+    alias: { "@": fileURLToPath(new URL(".", import.meta.url)) },
+  },
+  // Components and providers keep their JSX in .js files, as Next allows
+  esbuild: {
+    loader: "jsx",
+    include: /\.jsx?$/,
+    exclude: [],
+    jsx: "automatic",
+  },
+  test: {
+    environment: "node",
+    include: ["tests/**/*.test.js"],
+  },
+});